@@ -0,0 +1,138 @@
+// Linkding API client shared by every sync path. Requests to an instance go through one
+// scheduler per origin: at most apiConcurrency in flight, started no faster than a token
+// bucket of apiRequestsPerSecond allows, retried with jittered backoff on 429/502/503
+// (waiting as long as Retry-After asks), and aborted after a timeout.
+
+// Global settings, stored in chrome.storage.sync next to the auto-sync settings
+const API_SETTINGS_DEFAULTS = {
+  apiConcurrency: 4,
+  apiRequestsPerSecond: 5,
+};
+
+const API_TIMEOUT_MS = 30 * 1000;
+const API_MAX_RETRIES = 4;
+const API_RETRY_BASE_MS = 1000;
+// A Retry-After longer than this isn't waited out; the request fails and is retried later
+// (the two-way outbox does, see sendOutbox())
+const API_MAX_RETRY_WAIT_MS = 2 * 60 * 1000;
+const API_RETRY_STATUSES = new Set([429, 502, 503]);
+
+const apiSchedulers = new Map(); // origin → promise of its scheduler
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createRequestScheduler({ concurrency, requestsPerSecond }) {
+  let active = 0;
+  const waiting = []; // resolvers of requests waiting for a slot
+  const burst = Math.max(1, requestsPerSecond);
+  let tokens = burst;
+  let refilledAt = Date.now();
+  let pausedUntil = 0; // Set by a 429, holds back every request to the instance
+
+  async function acquireSlot() {
+    if (active < concurrency) {
+      active++;
+      return;
+    }
+    await new Promise((resolve) => waiting.push(resolve));
+  }
+
+  // Hand the slot straight to the next waiting request, if any
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  }
+
+  async function acquireToken() {
+    for (;;) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        await sleep(pausedUntil - now);
+        continue;
+      }
+      tokens = Math.min(burst, tokens + ((now - refilledAt) * requestsPerSecond) / 1000);
+      refilledAt = now;
+      if (tokens >= 1) {
+        tokens--;
+        return;
+      }
+      await sleep(((1 - tokens) * 1000) / requestsPerSecond);
+    }
+  }
+
+  async function request(url, init) {
+    for (let attempt = 0; ; attempt++) {
+      await acquireSlot();
+      let resp;
+      try {
+        await acquireToken();
+        resp = await fetchWithTimeout(url, init, API_TIMEOUT_MS);
+      } finally {
+        releaseSlot();
+      }
+      if (!API_RETRY_STATUSES.has(resp.status) || attempt >= API_MAX_RETRIES) return resp;
+
+      const retryAfter = retryAfterMs(resp);
+      if (retryAfter > API_MAX_RETRY_WAIT_MS) return resp;
+      const wait = retryAfter != null ? retryAfter : API_RETRY_BASE_MS * 2 ** attempt * (0.5 + Math.random());
+      if (resp.status === 429) pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+      await sleep(wait);
+    }
+  }
+
+  return { request };
+}
+
+// A fetch that gives up after timeoutMs. The timeout is thrown as a TypeError, like other
+// network failures, so callers treat the instance as unreachable.
+async function fetchWithTimeout(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    if (controller.signal.aborted) throw new TypeError(`Request timed out after ${timeoutMs / 1000} s`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Retry-After in milliseconds (given as seconds or an HTTP date), or null
+function retryAfterMs(resp) {
+  const value = resp.headers.get("Retry-After");
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// The promise is stored right away, so requests made together share one scheduler
+function getRequestScheduler(url) {
+  const { origin } = new URL(url);
+  if (!apiSchedulers.has(origin)) {
+    apiSchedulers.set(origin, chrome.storage.sync.get(API_SETTINGS_DEFAULTS).then((settings) =>
+      createRequestScheduler({
+        concurrency: Math.max(1, settings.apiConcurrency),
+        requestsPerSecond: Math.max(1, settings.apiRequestsPerSecond),
+      })));
+  }
+  return apiSchedulers.get(origin);
+}
+
+// Drop the schedulers when the limits change, so the next request picks them up
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "sync" && Object.keys(API_SETTINGS_DEFAULTS).some((key) => changes[key])) {
+    apiSchedulers.clear();
+  }
+});
+
+// Drop-in for fetch() on Linkding API URLs
+async function apiFetch(url, init = {}) {
+  const scheduler = await getRequestScheduler(url);
+  return scheduler.request(url, init);
+}
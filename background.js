@@ -1,4 +1,4 @@
-importScripts("sync.js");
+importScripts("api.js", "sync.js");
 
 const ALARM_NAME = "linkding-auto-sync";
 
@@ -18,35 +18,38 @@ async function updateAlarm() {
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name !== ALARM_NAME) return;
   console.log("[Linkding] Auto-sync triggered");
+  await enqueueSyncJob({ type: "autoSync" }).catch(() => {});
+});
 
-  isSelfModifying = true;
-  try {
-    const settings = await getSettings();
-
-    // Run one-way sync if enabled
-    if (settings.oneWayEnabled) {
-      try {
-        const result = await runSync((phase, msg) => console.log(`[Linkding] ${msg}`));
-        console.log(`[Linkding] Auto-sync done: ${result.bookmarks} bookmarks, ${result.tags} tags`);
-      } catch (err) {
-        console.error("[Linkding] Auto-sync error:", err);
-      }
+// Run every enabled sync mode for one profile. Errors are logged per mode so one
+// failing profile or mode doesn't stop the others.
+async function runProfileAutoSync(profile) {
+  const tag = `[Linkding:${profile.name}]`;
+
+  // Run one-way sync if enabled
+  if (profile.oneWayEnabled) {
+    try {
+      const result = await recordSyncRun({ type: "download", trigger: "alarm", profileId: profile.id }, () =>
+        runSync(profile.id, (phase, msg) => console.log(`${tag} ${msg}`)));
+      console.log(`${tag} Auto-sync done: ${result.bookmarks} bookmarks, ${result.tags} tags`);
+    } catch (err) {
+      console.error(`${tag} Auto-sync error:`, err);
     }
+  }
 
-    // Run two-way sync if enabled
-    if (settings.twoWayEnabled && settings.twoWayInitialSyncDone) {
-      try {
-        console.log("[Linkding] Auto two-way sync triggered");
-        const result = await runTwoWaySync((phase, msg) => console.log(`[Linkding] ${msg}`));
-        console.log(`[Linkding] Auto two-way sync done: +${result.added} -${result.removed} ~${result.updated}`);
-      } catch (err) {
-        console.error("[Linkding] Auto two-way sync error:", err);
-      }
+  // Run two-way sync if enabled and any folder/tag pair finished its initial sync
+  const state = await getProfileState(profile.id);
+  if (profile.twoWayEnabled && readyTwoWayPairs(profile, state).length > 0) {
+    try {
+      console.log(`${tag} Auto two-way sync triggered`);
+      const result = await recordSyncRun({ type: "twoWaySync", trigger: "alarm", profileId: profile.id }, () =>
+        runTwoWaySync(profile.id, (phase, msg) => console.log(`${tag} ${msg}`)));
+      console.log(`${tag} Auto two-way sync done: +${result.added} -${result.removed} ~${result.updated}`);
+    } catch (err) {
+      console.error(`${tag} Auto two-way sync error:`, err);
     }
-  } finally {
-    isSelfModifying = false;
   }
-});
+}
 
 // Listen for settings changes to update alarm
 chrome.storage.onChanged.addListener((changes, area) => {
@@ -56,111 +59,489 @@ chrome.storage.onChanged.addListener((changes, area) => {
   }
 });
 
-// Listen for manual sync requests from popup
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (msg.action === "sync") {
-    isSelfModifying = true;
-    runSync((phase, text) => {
-      chrome.runtime.sendMessage({ action: "syncProgress", phase, text }).catch(() => {});
-    })
-      .then((result) => sendResponse({ ok: true, result }))
-      .catch((err) => sendResponse({ ok: false, error: err.message }))
-      .finally(() => { isSelfModifying = false; });
-    return true;
+// ===================== Held Deletions Badge =====================
+
+// Flag deletions held by the mass-deletion guard on the toolbar icon until the user
+// confirms or discards them
+async function updateDeletionBadge() {
+  let held = 0;
+  for (const profile of await getProfiles()) {
+    for (const pair of profile.twoWayPairs) {
+      const pending = await getPendingDeletions(profile.id, pair.id);
+      if (pending) held += pending.deletions.length;
+    }
   }
+  await chrome.action.setBadgeBackgroundColor({ color: "#dc2626" });
+  await chrome.action.setBadgeText({ text: held > 0 ? "!" : "" });
+  await chrome.action.setTitle({
+    title: held > 0 ? `Linkding Sync: ${held} deletion(s) waiting for confirmation` : "Linkding Sync",
+  });
+  await updateActiveTabBadge().catch(() => {});
+}
 
-  if (msg.action === "twoWayInitialSync") {
-    isSelfModifying = true;
-    runInitialTwoWaySync(msg.mode, (phase, text) => {
-      chrome.runtime.sendMessage({ action: "twoWayProgress", phase, text }).catch(() => {});
-    })
-      .then((result) => sendResponse({ ok: true, result }))
-      .catch((err) => sendResponse({ ok: false, error: err.message }))
-      .finally(() => { isSelfModifying = false; });
-    return true;
-  }
-
-  if (msg.action === "twoWaySync") {
-    isSelfModifying = true;
-    runTwoWaySync((phase, text) => {
-      chrome.runtime.sendMessage({ action: "twoWayProgress", phase, text }).catch(() => {});
-    })
-      .then((result) => sendResponse({ ok: true, result }))
-      .catch((err) => sendResponse({ ok: false, error: err.message }))
-      .finally(() => { isSelfModifying = false; });
-    return true;
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && Object.keys(changes).some((key) => key.startsWith("pendingDeletions"))) {
+    updateDeletionBadge();
   }
 });
 
-// ===================== Two-Way Bookmark Listeners =====================
+// ===================== Active Tab Badge =====================
 
-let twoWaySyncDebounceTimer = null;
-let twoWaySyncRunning = false;
-let isSelfModifying = false;
+// Show a check mark on the toolbar icon while the active tab's page is saved in Linkding,
+// in any profile. Lookups use the check endpoint and are kept for a few minutes per URL.
+const TAB_CHECK_TTL_MS = 5 * 60 * 1000;
+const TAB_CHECK_LIMIT = 200;
+const tabChecks = new Map(); // url → { saved, checkedAt }
 
-function debounceTwoWaySync() {
-  if (twoWaySyncRunning || isSelfModifying) return;
-  clearTimeout(twoWaySyncDebounceTimer);
-  twoWaySyncDebounceTimer = setTimeout(async () => {
-    twoWaySyncRunning = true;
-    isSelfModifying = true;
+async function isSavedInLinkding(url) {
+  const cached = tabChecks.get(url);
+  if (cached && Date.now() - cached.checkedAt < TAB_CHECK_TTL_MS) return cached.saved;
+  let saved = false;
+  let failed = false;
+  for (const profile of await getProfiles()) {
+    if (!profile.url || !profile.token) continue;
     try {
-      const settings = await getSettings();
-      if (!settings.twoWayEnabled || !settings.twoWayInitialSyncDone) return;
-      console.log("[Linkding] Bookmark change detected, running two-way sync...");
-      const result = await runTwoWaySync((phase, msg) => console.log(`[Linkding] ${msg}`));
-      console.log(`[Linkding] Two-way sync done: +${result.added} -${result.removed} ~${result.updated}`);
+      if (await checkLinkdingUrl(profile.url, profile.token, url)) {
+        saved = true;
+        break;
+      }
     } catch (err) {
-      console.error("[Linkding] Two-way sync error:", err);
-    } finally {
-      isSelfModifying = false;
-      twoWaySyncRunning = false;
+      // Offline or misconfigured: the other profiles are still checked
+      console.log(`[Linkding:${profile.name}] Could not check ${url}: ${err.message}`);
+      failed = true;
     }
-  }, 2000);
+  }
+  // A page not found while a profile couldn't be checked is looked up again next visit
+  if (failed && !saved) return false;
+  tabChecks.delete(url);
+  tabChecks.set(url, { saved, checkedAt: Date.now() });
+  if (tabChecks.size > TAB_CHECK_LIMIT) tabChecks.delete(tabChecks.keys().next().value);
+  return saved;
 }
 
-// Check if a folder ID is inside the two-way sync folder tree (walks up parents)
-async function isInsideTwoWaySyncFolder(folderId) {
-  try {
-    const settings = await getSettings();
-    if (!settings.twoWayEnabled || !settings.twoWaySyncFolderId) return false;
-    return await isInsideTwoWayFolder(folderId, settings.twoWaySyncFolderId);
-  } catch {
-    return false;
+// A tab's own badge hides the global one, so the held-deletions "!" wins over the check mark
+async function updateTabBadge(tab) {
+  if (!tab || !tab.active || !/^https?:/.test(tab.url || "")) return;
+  const saved = await isSavedInLinkding(tab.url);
+  const held = (await chrome.action.getBadgeText({})) !== "";
+  const show = saved && !held;
+  await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: show ? "#059669" : "#dc2626" });
+  await chrome.action.setBadgeText({ tabId: tab.id, text: show ? "\u2713" : null });
+  await chrome.action.setTitle({ tabId: tab.id, title: show ? "Linkding Sync: this page is saved in Linkding" : null });
+}
+
+async function updateActiveTabBadge() {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  await updateTabBadge(tab);
+}
+
+// Saving or deleting the page from the popup changes the answer straight away
+function tabBookmarkChanged(url) {
+  tabChecks.delete(url);
+  updateActiveTabBadge().catch(() => {});
+}
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  chrome.tabs.get(tabId).then(updateTabBadge).catch(() => {});
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.status === "complete") updateTabBadge(tab).catch(() => {});
+});
+
+// ===================== Outbox Retries =====================
+
+const OUTBOX_ALARM_NAME = "linkding-outbox-retry";
+
+// Wake up for the earliest retry of writes queued while Linkding was unreachable
+async function scheduleOutboxRetry() {
+  let retryAt = null;
+  for (const profile of await getProfiles()) {
+    const outbox = await getOutbox(profile.id);
+    if (outbox.items.length > 0 && outbox.retryAt) retryAt = Math.min(retryAt || Infinity, outbox.retryAt);
   }
+  await chrome.alarms.clear(OUTBOX_ALARM_NAME);
+  if (retryAt) chrome.alarms.create(OUTBOX_ALARM_NAME, { when: Math.max(retryAt, Date.now() + 1000) });
 }
 
-chrome.bookmarks.onCreated.addListener(async (id, bookmark) => {
-  if (bookmark.url && await isInsideTwoWaySyncFolder(bookmark.parentId)) {
-    debounceTwoWaySync();
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && Object.keys(changes).some((key) => key.startsWith("outbox"))) {
+    scheduleOutboxRetry();
   }
 });
 
-chrome.bookmarks.onRemoved.addListener(async (id, removeInfo) => {
-  if (await isInsideTwoWaySyncFolder(removeInfo.parentId)) {
-    debounceTwoWaySync();
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== OUTBOX_ALARM_NAME) return;
+  for (const profile of await getProfiles()) {
+    if ((await getOutbox(profile.id)).items.length === 0) continue;
+    enqueueSyncJob({ type: "outbox", profileId: profile.id }).catch(() => {});
   }
 });
 
-chrome.bookmarks.onChanged.addListener(async (id) => {
+async function sendQueuedChanges(profileId) {
+  const profile = await getProfile(profileId);
+  const result = await flushOutbox(profileId, (phase, msg) => console.log(`[Linkding:${profile.name}] ${msg}`));
+  if (result.queued === 0) console.log(`[Linkding:${profile.name}] Queued changes sent: +${result.added} -${result.removed} ~${result.updated}`);
+  return result;
+}
+
+// ===================== Sync Coordinator =====================
+
+// Every sync runs as a job on one queue, so the alarm, the popup, Options and the bookmark
+// listeners never work on the same folders at once. The lock and the queue live in
+// chrome.storage.session (SYNC_LOCK_KEY, SYNC_QUEUE_KEY) and outlast a suspended worker.
+// The lock is a lease, renewed while the job runs; if the worker is stopped mid-job, it
+// runs out and the next worker carries on with the queue.
+const SYNC_LOCK_LEASE_MS = 60 * 1000;
+const SYNC_LOCK_RENEW_MS = 20 * 1000;
+const workerId = createId(); // Tells this worker's lock from one left by a stopped worker
+
+const syncJobWaiters = new Map(); // job key → callbacks of the requests waiting for it
+let syncQueueUpdate = Promise.resolve(); // Chain that keeps queue changes in order
+let processingSyncQueue = false;
+let syncLockTimer = null;
+
+// What each job type runs. Jobs are plain data, so a queue left by a stopped worker
+// can be run by the next one.
+const SYNC_JOBS = {
+  autoSync: async () => {
+    for (const profile of await getProfiles()) await runProfileAutoSync(profile);
+    return null;
+  },
+  download: ({ profileId, params }) =>
+    runSync(profileId, jobProgress("syncProgress", profileId), { dryRun: !!params.dryRun }),
+  twoWaySync: ({ profileId, pairId, params }) =>
+    runTwoWaySync(profileId, jobProgress("twoWayProgress", profileId), { dryRun: !!params.dryRun, pairId }),
+  initialSync: ({ profileId, pairId, params }) =>
+    runInitialTwoWaySync(profileId, pairId, params.mode, jobProgress("twoWayProgress", profileId), { dryRun: !!params.dryRun }),
+  journal: ({ profileId, pairId }) => replayTwoWayJournal(profileId, pairId),
+  outbox: ({ profileId }) => sendQueuedChanges(profileId),
+  resolveConflict: async ({ profileId, pairId, params }) => {
+    const resolved = await resolveTwoWayConflict(profileId, pairId, params.linkdingId, params.choice);
+    const result = await runTwoWaySync(profileId, null, { pairId });
+    return { ...result, changes: [...resolved.changes, ...result.changes] };
+  },
+  restoreRemoved: async ({ profileId, pairId, params }) => {
+    const restored = await restoreRemovedBookmark(profileId, pairId, params.linkdingId);
+    const result = await runTwoWaySync(profileId, null, { pairId });
+    return { ...result, changes: [...restored.changes, ...result.changes] };
+  },
+  confirmDeletions: ({ profileId, pairId }) => runTwoWaySync(profileId, null, { pairId, approveDeletions: true }),
+  discardDeletions: async ({ profileId, pairId }) => {
+    await discardPendingDeletions(profileId, pairId);
+    return runTwoWaySync(profileId, null, { pairId });
+  },
+  undo: ({ profileId, params }) => undoLastSync(profileId, params.runId, jobProgress("undoProgress", profileId)),
+  quickAdd: async ({ profileId, pairId, params }) => {
+    const result = await quickAddBookmark(profileId, params.bookmark, pairId);
+    tabBookmarkChanged(params.bookmark.url);
+    return result;
+  },
+  editBookmark: ({ profileId, params }) => editSavedBookmark(profileId, params.linkdingId, params.fields),
+  deleteBookmark: async ({ profileId, params }) => {
+    const result = await deleteSavedBookmark(profileId, params.linkdingId);
+    if (result.url) tabBookmarkChanged(result.url);
+    return result;
+  },
+};
+
+function jobProgress(action, profileId) {
+  return (phase, text) => {
+    chrome.runtime.sendMessage({ action, profileId, phase, text }).catch(() => {});
+  };
+}
+
+// Requests for the same job (type, profile, pair and options) are merged while it waits
+function syncJobKey(job) {
+  return JSON.stringify([job.type, job.profileId || null, job.pairId || null, job.params]);
+}
+
+// Change the stored queue. Changes are chained so concurrent ones don't overwrite each other.
+function updateSyncQueue(fn) {
+  const update = syncQueueUpdate.then(async () => {
+    const { [SYNC_QUEUE_KEY]: queue } = await chrome.storage.session.get({ [SYNC_QUEUE_KEY]: [] });
+    const result = fn(queue);
+    await chrome.storage.session.set({ [SYNC_QUEUE_KEY]: queue });
+    return result;
+  });
+  syncQueueUpdate = update.catch(() => {});
+  return update;
+}
+
+// Queue a job and resolve with its result. If the same job is already waiting, the
+// request joins it instead; a running one doesn't count, as it may have started before
+// whatever the request is about.
+function enqueueSyncJob(job) {
+  job = { profileId: null, pairId: null, params: {}, ...job };
+  const key = syncJobKey(job);
+  return new Promise((resolve, reject) => {
+    updateSyncQueue((queue) => {
+      if (!queue.some((queued) => queued.key === key)) queue.push({ ...job, key, queuedAt: Date.now() });
+      if (!syncJobWaiters.has(key)) syncJobWaiters.set(key, []);
+      syncJobWaiters.get(key).push({ resolve, reject });
+    }).then(processSyncQueue, reject);
+  });
+}
+
+// Run the queued jobs one at a time. If a stopped worker's lease hasn't run out yet, try
+// again when it does.
+async function processSyncQueue() {
+  if (processingSyncQueue) return;
+  processingSyncQueue = true;
   try {
-    const [node] = await chrome.bookmarks.get(id);
-    if (await isInsideTwoWaySyncFolder(node.parentId)) {
-      debounceTwoWaySync();
+    for (;;) {
+      const { [SYNC_LOCK_KEY]: lock } = await chrome.storage.session.get({ [SYNC_LOCK_KEY]: null });
+      if (lock && lock.owner !== workerId && lock.expiresAt > Date.now()) {
+        clearTimeout(syncLockTimer);
+        syncLockTimer = setTimeout(processSyncQueue, lock.expiresAt - Date.now() + 100);
+        return;
+      }
+      let waiters = [];
+      const job = await updateSyncQueue((queue) => {
+        const next = queue.shift();
+        if (next) {
+          waiters = syncJobWaiters.get(next.key) || [];
+          syncJobWaiters.delete(next.key);
+        }
+        return next;
+      });
+      if (!job) return;
+      await runSyncJob(job, waiters);
     }
+  } finally {
+    processingSyncQueue = false;
+  }
+}
+
+// Run one job under the lock. Renewing the lease also keeps the worker awake.
+async function runSyncJob(job, waiters) {
+  const lock = { owner: workerId, job, startedAt: Date.now() };
+  await chrome.storage.session.set({ [SYNC_LOCK_KEY]: { ...lock, expiresAt: Date.now() + SYNC_LOCK_LEASE_MS } });
+  const renew = setInterval(() => {
+    chrome.storage.session.set({ [SYNC_LOCK_KEY]: { ...lock, expiresAt: Date.now() + SYNC_LOCK_LEASE_MS } });
+  }, SYNC_LOCK_RENEW_MS);
+  try {
+    const run = () => SYNC_JOBS[job.type](job);
+    // Auto-sync records a run for each profile and mode (see runProfileAutoSync())
+    const result = await (job.type === "autoSync" ? run() : recordSyncRun({
+      type: job.type,
+      trigger: SYNC_JOB_TRIGGERS[job.type] || "manual",
+      profileId: job.profileId,
+      pairId: job.pairId,
+      dryRun: !!job.params.dryRun,
+    }, run));
+    waiters.forEach(({ resolve }) => resolve(result));
+  } catch (err) {
+    console.error(`[Linkding] ${SYNC_JOB_LABELS[job.type]} failed:`, err);
+    waiters.forEach(({ reject }) => reject(err));
+  } finally {
+    clearInterval(renew);
+    await chrome.storage.session.remove(SYNC_LOCK_KEY);
+  }
+}
+
+// What started a run, by job type; the others are syncs started from the popup or Options
+const SYNC_JOB_TRIGGERS = {
+  autoSync: "alarm",
+  journal: "bookmark",
+  outbox: "retry",
+  quickAdd: "popup",
+  editBookmark: "popup",
+  deleteBookmark: "popup",
+};
+
+// Run fn and add the run to the sync history (see getSyncHistory()). Dry runs change
+// nothing and aren't kept, nor are runs that found nothing to do (a null result). A run
+// that changed something becomes the one "Undo last sync" reverses (see
+// saveSyncSnapshot()), unless it replayed changes made in the browser. Saving or editing
+// the current page from the popup isn't a sync and leaves the undo alone.
+async function recordSyncRun({ type, trigger, profileId, pairId = null, dryRun = false }, fn) {
+  const run = { id: createId(), type, trigger, profileId, pairId, startedAt: Date.now() };
+  const before = !dryRun && type !== "undo" && trigger !== "popup" ? await readSnapshotData(profileId) : null;
+  let result;
+  try {
+    result = await fn();
+  } catch (err) {
+    if (!dryRun) await addSyncHistory({ ...run, duration: Date.now() - run.startedAt, error: err.message, warnings: [], changes: [] });
+    throw err;
+  }
+  if (result && !dryRun) {
+    const warnings = [...(result.warnings || [])];
+    if (result.queued) warnings.push(`${result.queued} change(s) still waiting to be sent to Linkding`);
+    await addSyncHistory({ ...run, duration: Date.now() - run.startedAt, error: null, warnings, changes: result.changes });
+    if (before && result.changes.length > 0) {
+      if (trigger === "bookmark" || trigger === "retry") await clearSyncSnapshot(profileId);
+      else await saveSyncSnapshot(run, before, result.changes);
+    }
+  }
+  return result;
+}
+
+// The job a popup or Options message asks for, or null for other messages
+function syncJobForMessage(msg) {
+  const profileId = msg.profileId || DEFAULT_PROFILE_ID;
+  const dryRun = !!msg.dryRun;
+  if (msg.action === "sync") return { type: "download", profileId, params: { dryRun } };
+  if (msg.action === "twoWaySync") return { type: "twoWaySync", profileId, pairId: msg.pairId || null, params: { dryRun } };
+  if (msg.action === "twoWayInitialSync") {
+    return { type: "initialSync", profileId, pairId: msg.pairId || DEFAULT_PAIR_ID, params: { mode: msg.mode, dryRun } };
+  }
+  if (msg.action === "resolveConflict") {
+    return { type: "resolveConflict", profileId, pairId: msg.pairId, params: { linkdingId: msg.linkdingId, choice: msg.choice } };
+  }
+  if (msg.action === "restoreRemoved") {
+    return { type: "restoreRemoved", profileId, pairId: msg.pairId, params: { linkdingId: msg.linkdingId } };
+  }
+  if (msg.action === "confirmDeletions" || msg.action === "discardDeletions") {
+    return { type: msg.action, profileId, pairId: msg.pairId };
+  }
+  if (msg.action === "undoLastSync") return { type: "undo", profileId, params: { runId: msg.runId } };
+  if (msg.action === "quickAdd") return { type: "quickAdd", profileId, pairId: msg.pairId || null, params: { bookmark: msg.bookmark } };
+  if (msg.action === "editBookmark") {
+    return { type: "editBookmark", profileId, params: { linkdingId: msg.linkdingId, fields: msg.fields } };
+  }
+  if (msg.action === "deleteBookmark") return { type: "deleteBookmark", profileId, params: { linkdingId: msg.linkdingId } };
+  return null;
+}
+
+// Listen for manual sync requests from popup and options. With msg.dryRun set, the
+// sync only plans its changes and returns them for review.
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  const job = syncJobForMessage(msg);
+  if (!job) return;
+  enqueueSyncJob(job)
+    .then((result) => sendResponse({ ok: true, result }))
+    .catch((err) => sendResponse({ ok: false, error: err.message }));
+  return true;
+});
+
+// Pick up jobs queued before the worker was suspended
+processSyncQueue();
+
+// ===================== Two-Way Bookmark Listeners =====================
+
+const twoWaySyncDebounceTimers = new Map(); // "profileId/pairId" → timer
+
+function debounceTwoWaySync(profileId, pairId) {
+  const key = `${profileId}/${pairId}`;
+  clearTimeout(twoWaySyncDebounceTimers.get(key));
+  twoWaySyncDebounceTimers.set(key, setTimeout(() => {
+    twoWaySyncDebounceTimers.delete(key);
+    enqueueSyncJob({ type: "journal", profileId, pairId }).catch(() => {});
+  }, 2000));
+}
+
+// Send the changes recorded in a pair's journal; the full comparison runs on the
+// auto-sync alarm
+async function replayTwoWayJournal(profileId, pairId) {
+  const state = await getProfileState(profileId);
+  if (!getPairState(state, pairId).initialSyncDone) return null;
+  const log = (phase, msg) => console.log(`[Linkding] ${msg}`);
+  console.log("[Linkding] Bookmark change detected, replaying it to Linkding...");
+  let result = await runTwoWayJournal(profileId, pairId, log);
+  if (result && result.needsFullSync) {
+    console.log("[Linkding] Too many deletions to replay, running two-way sync...");
+    result = await runTwoWaySync(profileId, log, { pairId });
+  }
+  if (result) console.log(`[Linkding] Two-way changes sent: +${result.added} -${result.removed} ~${result.updated}, ${result.queued || 0} queued`);
+  return result;
+}
+
+// Find the folder/tag pairs whose folder tree contains a folder ID (walks up parents)
+async function findTwoWayPairsFor(folderId) {
+  try {
+    const profiles = await getProfiles();
+    const matches = [];
+    for (const profile of profiles) {
+      if (!profile.twoWayEnabled) continue;
+      for (const pair of profile.twoWayPairs) {
+        if (pair.folderId && await isInsideTwoWayFolder(folderId, pair.folderId)) {
+          matches.push({ profileId: profile.id, pairId: pair.id });
+        }
+      }
+    }
+    return matches;
+  } catch {
+    return [];
+  }
+}
+
+// Schedule a two-way sync for every pair whose folder contains one of folderIds.
+// editedIds are bookmarks the user just changed; their edit time is kept for the
+// "newest" conflict policy. ops are added to the pair's journal for the sync to replay.
+async function debounceTwoWaySyncFor(folderIds, editedIds = [], ops = []) {
+  const pairs = new Map();
+  for (const folderId of folderIds) {
+    for (const match of await findTwoWayPairsFor(folderId)) {
+      pairs.set(`${match.profileId}/${match.pairId}`, match);
+    }
+  }
+  if (pairs.size === 0) return;
+  for (const { profileId, pairId } of pairs.values()) {
+    if (editedIds.length > 0) await recordChromeEdits(profileId, pairId, editedIds);
+    if (ops.length > 0) await recordJournal(profileId, pairId, ops);
+    debounceTwoWaySync(profileId, pairId);
+  }
+}
+
+// IDs of a removed node and everything that was inside it
+function collectNodeIds(node) {
+  return [node.id, ...(node.children || []).flatMap(collectNodeIds)];
+}
+
+// Journal entries for an operation on a node. Everything inside a folder changes path
+// along with it, so unless it was deleted too it is recorded as moved.
+function journalOps(op, node, innerOp = "move") {
+  return [
+    { op, chromeId: node.id, folder: !node.url },
+    ...(node.children || []).flatMap((child) => journalOps(innerOp, child, innerOp)),
+  ];
+}
+
+// The node with everything inside it, or null if it's gone
+async function getSubTree(id) {
+  try {
+    const [node] = await chrome.bookmarks.getSubTree(id);
+    return node;
   } catch {
-    // bookmark gone
+    return null;
   }
+}
+
+// Folders count too: empty folders are part of the synced layout
+// Events of a sync's own writes are left out (see markSyncWrite()); everything else is recorded,
+// even while a job runs, as replaying the journal only sends what differs from the mapping.
+chrome.bookmarks.onCreated.addListener(async (id, bookmark) => {
+  if (takeSyncWrite("created", createWriteKey(bookmark))) return;
+  await debounceTwoWaySyncFor([bookmark.parentId], [], journalOps("create", bookmark));
+});
+
+chrome.bookmarks.onRemoved.addListener(async (id, removeInfo) => {
+  if (takeSyncWrite("removed", id)) return;
+  const node = removeInfo.node || { id };
+  await debounceTwoWaySyncFor([removeInfo.parentId], collectNodeIds(node), journalOps("delete", node, "delete"));
+});
+
+chrome.bookmarks.onChanged.addListener(async (id) => {
+  if (takeSyncWrite("changed", id)) return;
+  const node = await getSubTree(id);
+  if (node) await debounceTwoWaySyncFor([node.parentId], [id], journalOps("retitle", node));
 });
 
 chrome.bookmarks.onMoved.addListener(async (id, moveInfo) => {
-  const oldInside = await isInsideTwoWaySyncFolder(moveInfo.oldParentId);
-  const newInside = await isInsideTwoWaySyncFolder(moveInfo.parentId);
-  if (oldInside || newInside) {
-    debounceTwoWaySync();
-  }
+  if (takeSyncWrite("moved", id)) return;
+  const node = await getSubTree(id);
+  if (node) await debounceTwoWaySyncFor([moveInfo.oldParentId, moveInfo.parentId], [id], journalOps("move", node));
 });
 
-// Initialize alarm on install/startup
-chrome.runtime.onInstalled.addListener(() => updateAlarm());
-chrome.runtime.onStartup.addListener(() => updateAlarm());
+// Initialize alarm and badge on install/startup
+chrome.runtime.onInstalled.addListener(() => {
+  updateAlarm();
+  updateDeletionBadge();
+  scheduleOutboxRetry();
+});
+chrome.runtime.onStartup.addListener(() => {
+  updateAlarm();
+  updateDeletionBadge();
+  scheduleOutboxRetry();
+});
@@ -1,6 +1,9 @@
 let selectedParentId = null;
 let selectedInterval = 60;
-let selectedTwoWayFolderId = null;
+let profiles = [];
+let currentProfileId = DEFAULT_PROFILE_ID;
+let twoWayPairs = []; // Working copy of the profile's folder/tag pairs, saved with the profile
+let currentPairId = DEFAULT_PAIR_ID;
 
 // ===================== Bookmark tree =====================
 
@@ -14,9 +17,8 @@ async function loadTree() {
   }
   container.appendChild(ul);
 
-  // Restore saved selection
-  const { parentFolderId } = await chrome.storage.sync.get({ parentFolderId: null });
-  if (parentFolderId) selectFolder(parentFolderId, "oneway");
+  // Restore selection
+  if (selectedParentId) selectFolder(selectedParentId, "oneway");
 }
 
 async function loadTwoWayTree() {
@@ -29,9 +31,8 @@ async function loadTwoWayTree() {
   }
   container.appendChild(ul);
 
-  // Restore saved selection
-  const { twoWaySyncFolderId } = await chrome.storage.sync.get({ twoWaySyncFolderId: null });
-  if (twoWaySyncFolderId) selectFolder(twoWaySyncFolderId, "twoway");
+  // Restore selection
+  if (currentPair().folderId) selectFolder(currentPair().folderId, "twoway");
 }
 
 function renderNode(node, parentUl, treeType) {
@@ -101,7 +102,7 @@ function selectFolder(id, treeType) {
   }
 
   if (treeType === "twoway") {
-    selectedTwoWayFolderId = id;
+    currentPair().folderId = id;
     updateTwoWayPathDisplay(id);
     checkFolderConflict();
   } else {
@@ -165,27 +166,30 @@ async function isDescendantOf(childId, ancestorId) {
   return false;
 }
 
-async function checkFolderConflict() {
-  const warning = document.getElementById("folder-conflict-warning");
-  if (!selectedTwoWayFolderId || !selectedParentId || !oneWayToggle.checked) {
-    warning.classList.remove("visible");
-    return false;
-  }
-
-  const oneWayFolderId = await getOneWayFolderId();
-
-  if (oneWayFolderId && selectedTwoWayFolderId === oneWayFolderId) {
-    warning.classList.add("visible");
-    return true;
-  }
-
-  if (oneWayFolderId && await isDescendantOf(selectedTwoWayFolderId, oneWayFolderId)) {
-    warning.classList.add("visible");
-    return true;
+// Describe the first two-way folder that overlaps the one-way download folder or another
+// two-way folder, or return null
+async function findFolderConflict() {
+  const oneWayFolderId = oneWayToggle.checked && selectedParentId ? await getOneWayFolderId() : null;
+  for (const pair of twoWayPairs) {
+    if (!pair.folderId) continue;
+    if (oneWayFolderId && await isDescendantOf(pair.folderId, oneWayFolderId)) {
+      return `The two-way sync folder for "${pair.tag}" cannot be the same as (or inside) the one-way download folder. Choose a different folder.`;
+    }
+    for (const other of twoWayPairs) {
+      if (other !== pair && other.folderId && await isDescendantOf(pair.folderId, other.folderId)) {
+        return `The two-way sync folders for "${pair.tag}" and "${other.tag}" overlap. Choose separate folders.`;
+      }
+    }
   }
+  return null;
+}
 
-  warning.classList.remove("visible");
-  return false;
+async function checkFolderConflict() {
+  const warning = document.getElementById("folder-conflict-warning");
+  const conflict = await findFolderConflict();
+  if (conflict) document.getElementById("folder-conflict-text").textContent = conflict;
+  warning.classList.toggle("visible", !!conflict);
+  return conflict;
 }
 
 // ===================== Auto-sync UI =====================
@@ -219,6 +223,96 @@ oneWayToggle.addEventListener("change", () => {
   checkFolderConflict();
 });
 
+const tagHierarchyToggle = document.getElementById("tag-hierarchy");
+const tagSeparatorRow = document.getElementById("tag-separator-row");
+
+tagHierarchyToggle.addEventListener("change", () => {
+  tagSeparatorRow.classList.toggle("visible", tagHierarchyToggle.checked);
+});
+
+const unreadFolderToggle = document.getElementById("unread-folder-enabled");
+const archiveFolderToggle = document.getElementById("archive-folder-enabled");
+
+unreadFolderToggle.addEventListener("change", () => {
+  document.getElementById("unread-folder-row").classList.toggle("visible", unreadFolderToggle.checked);
+});
+
+archiveFolderToggle.addEventListener("change", () => {
+  document.getElementById("archive-folder-row").classList.toggle("visible", archiveFolderToggle.checked);
+});
+
+// ===================== Saved-Search Folders =====================
+
+const smartFoldersEl = document.getElementById("smart-folders");
+
+function addSmartFolderRow(name = "", query = "") {
+  const row = document.createElement("div");
+  row.className = "smart-folder-row";
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "smart-name";
+  nameInput.placeholder = "Folder name";
+  nameInput.value = name;
+
+  const queryInput = document.createElement("input");
+  queryInput.type = "text";
+  queryInput.className = "smart-query";
+  queryInput.placeholder = "#work !unread";
+  queryInput.value = query;
+
+  const remove = document.createElement("button");
+  remove.className = "row-remove";
+  remove.title = "Remove folder";
+  remove.textContent = "\u00D7";
+  remove.addEventListener("click", () => row.remove());
+
+  row.appendChild(nameInput);
+  row.appendChild(queryInput);
+  row.appendChild(remove);
+  smartFoldersEl.appendChild(row);
+}
+
+// Names of the enabled Read Later and Archive folders, which share the top level with
+// the saved-search folders
+function reservedFolderNames() {
+  const names = [];
+  if (unreadFolderToggle.checked) {
+    names.push(document.getElementById("unread-folder-name").value.trim() || "Read Later");
+  }
+  if (archiveFolderToggle.checked) {
+    names.push(document.getElementById("archive-folder-name").value.trim() || "Archive");
+  }
+  return names;
+}
+
+// Collect rows from the editor. Returns null (after showing a toast) if a row is invalid.
+function readSmartFolders() {
+  const reserved = reservedFolderNames();
+  const folders = [];
+  for (const row of smartFoldersEl.querySelectorAll(".smart-folder-row")) {
+    const name = row.querySelector(".smart-name").value.trim();
+    const query = row.querySelector(".smart-query").value.trim();
+    if (!name && !query) continue;
+    if (!name || !query) {
+      showToast("error", "Each saved-search folder needs both a name and a query.");
+      return null;
+    }
+    if (folders.some((f) => f.name === name)) {
+      showToast("error", `Duplicate saved-search folder name: ${name}`);
+      return null;
+    }
+    if (reserved.includes(name)) {
+      showToast("error", `"${name}" is the Read Later or Archive folder. Choose another saved-search folder name.`);
+      return null;
+    }
+    folders.push({ name, query });
+  }
+  return folders;
+}
+
+document.getElementById("add-smart-folder").addEventListener("click", () => addSmartFolderRow());
+
 // ===================== Two-Way Sync UI =====================
 
 const twoWayToggle = document.getElementById("twoway-enabled");
@@ -231,6 +325,101 @@ twoWayToggle.addEventListener("change", () => {
   }
 });
 
+// ===================== Two-Way Folder Pairs =====================
+
+const pairSelect = document.getElementById("pair-select");
+const twoWayTagInput = document.getElementById("twoway-tag");
+
+function currentPair() {
+  return twoWayPairs.find((p) => p.id === currentPairId);
+}
+
+function renderPairSelect() {
+  pairSelect.innerHTML = "";
+  for (const pair of twoWayPairs) {
+    const opt = document.createElement("option");
+    opt.value = pair.id;
+    opt.textContent = pair.tag || "(no tag)";
+    pairSelect.appendChild(opt);
+  }
+  pairSelect.value = currentPairId;
+  document.getElementById("remove-pair").disabled = twoWayPairs.length < 2;
+}
+
+// Fill the pair fields. The initial sync is offered once the pair has been saved.
+async function showPair(pair) {
+  currentPairId = pair.id;
+  twoWayTagInput.value = pair.tag;
+  document.getElementById("twoway-selected-path").classList.remove("visible");
+  if (twoWayToggle.checked) {
+    await loadTwoWayTree();
+  }
+  checkFolderConflict();
+  await renderConflicts();
+  await renderHeldDeletions();
+  await renderRecentlyRemoved();
+
+  const saved = currentProfile().twoWayPairs.find((p) => p.id === pair.id);
+  const { initialSyncDone, warnings = [] } = getPairState(await getProfileState(currentProfileId), pair.id);
+  document.getElementById("pair-warnings").textContent = warnings.join("\n");
+  document.getElementById("pair-warnings").classList.toggle("visible", warnings.length > 0);
+  const enabled = currentProfile().twoWayEnabled && saved && saved.folderId;
+  document.getElementById("initial-done-badge").classList.toggle("visible", !!enabled && initialSyncDone);
+  document.getElementById("initial-sync-section").classList.toggle("visible", !!enabled && !initialSyncDone);
+}
+
+pairSelect.addEventListener("change", () => {
+  showPair(twoWayPairs.find((p) => p.id === pairSelect.value));
+});
+
+twoWayTagInput.addEventListener("input", () => {
+  currentPair().tag = twoWayTagInput.value.trim();
+  pairSelect.selectedOptions[0].textContent = currentPair().tag || "(no tag)";
+});
+
+document.getElementById("add-pair").addEventListener("click", async () => {
+  const pair = { id: createId(), folderId: null, tag: "" };
+  twoWayPairs.push(pair);
+  currentPairId = pair.id;
+  renderPairSelect();
+  await showPair(pair);
+  twoWayTagInput.focus();
+});
+
+document.getElementById("remove-pair").addEventListener("click", async () => {
+  const pair = currentPair();
+  if (twoWayPairs.length < 2) return;
+  if (!confirm(`Remove the two-way folder for "${pair.tag || "(no tag)"}"? Its sync mapping on this device is removed when you save. Bookmarks are not touched.`)) return;
+  twoWayPairs = twoWayPairs.filter((p) => p.id !== pair.id);
+  currentPairId = twoWayPairs[0].id;
+  renderPairSelect();
+  await showPair(twoWayPairs[0]);
+});
+
+// Check every pair has a folder and a tag, and that no tag is the same as or nested under
+// another pair's. Returns false (after showing a toast) if not.
+function validatePairs() {
+  for (const pair of twoWayPairs) {
+    if (!pair.tag) {
+      showToast("error", "Enter a sync tag for every two-way folder.");
+      return false;
+    }
+    if (!pair.folderId) {
+      showToast("error", `Select a folder for the two-way sync tag "${pair.tag}".`);
+      return false;
+    }
+    const tag = pair.tag.toLowerCase();
+    for (const other of twoWayPairs) {
+      const otherTag = other.tag.toLowerCase();
+      if (other !== pair && (otherTag === tag || tag.startsWith(otherTag + "/"))) {
+        showToast("error", `The two-way sync tags "${pair.tag}" and "${other.tag}" overlap. Choose separate tags.`);
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
 // Radio option selection
 document.querySelectorAll("#initial-mode-group .radio-option").forEach((opt) => {
   opt.addEventListener("click", () => {
@@ -248,11 +437,20 @@ document.getElementById("start-initial-sync").addEventListener("click", async ()
   const progressText = document.getElementById("initial-progress-text");
 
   btn.disabled = true;
+  btn.textContent = "Planning...";
+  const apply = await reviewPlan({ action: "twoWayInitialSync", profileId: currentProfileId, pairId: currentPairId, mode }, "Initial Sync",
+    mode === "pull" ? FORCE_WARNINGS.pull : "");
+  if (!apply) {
+    btn.disabled = false;
+    btn.textContent = "Start Initial Sync";
+    return;
+  }
+
   btn.textContent = "Syncing...";
   progress.classList.add("visible");
   progressText.textContent = "Starting initial sync...";
 
-  sendMessage({ action: "twoWayInitialSync", mode }, (response) => {
+  sendMessage({ action: "twoWayInitialSync", profileId: currentProfileId, pairId: currentPairId, mode }, (response) => {
     btn.disabled = false;
     btn.textContent = "Start Initial Sync";
     progress.classList.remove("visible");
@@ -264,7 +462,7 @@ document.getElementById("start-initial-sync").addEventListener("click", async ()
 
     if (response.ok) {
       const r = response.result;
-      showToast("success", `Initial sync complete!\nAdded: ${r.added}, Updated: ${r.updated}, Downloaded: ${r.downloaded}, Total: ${r.total}`);
+      showToast("success", [`Initial sync complete!\nAdded: ${r.added}, Updated: ${r.updated}, Downloaded: ${r.downloaded}, Total: ${r.total}`, ...r.warnings].join("\n"));
       document.getElementById("initial-sync-section").classList.remove("visible");
       document.getElementById("initial-done-badge").classList.add("visible");
     } else {
@@ -275,66 +473,473 @@ document.getElementById("start-initial-sync").addEventListener("click", async ()
 
 // Listen for two-way progress
 chrome.runtime.onMessage.addListener((msg) => {
-  if (msg.action === "twoWayProgress") {
+  if (msg.action === "twoWayProgress" && msg.profileId === currentProfileId) {
     const progressText = document.getElementById("initial-progress-text");
     if (progressText) progressText.textContent = msg.text;
   }
 });
 
-// ===================== Load settings =====================
+// ===================== Two-Way Conflicts =====================
+
+const CONFLICT_DESCRIPTIONS = {
+  edit: "Changed in the browser and in Linkding",
+  chromeDeleted: "Deleted in the browser, changed in Linkding",
+  linkdingDeleted: "Changed in the browser, deleted in Linkding",
+};
+
+async function renderConflicts() {
+  const conflicts = Object.values(await getConflicts(currentProfileId, currentPairId));
+  const { urlNormalization } = await getProfile(currentProfileId);
+  const list = document.getElementById("conflict-list");
+  list.innerHTML = "";
+  document.getElementById("conflicts-section").classList.toggle("visible", conflicts.length > 0);
+
+  for (const conflict of conflicts) {
+    const item = document.createElement("div");
+    item.className = "conflict-item";
+
+    const desc = document.createElement("div");
+    desc.className = "hint";
+    desc.style.margin = "0 0 8px";
+    desc.textContent = CONFLICT_DESCRIPTIONS[conflict.kind];
+
+    const versions = document.createElement("div");
+    versions.className = "conflict-versions";
+    versions.append(renderConflictSide("Browser (mine)", conflict.chrome), renderConflictSide("Linkding (theirs)", conflict.linkding));
+
+    const actions = document.createElement("div");
+    actions.className = "conflict-actions";
+    actions.append(conflictButton(conflict, "chrome", "Keep mine"), conflictButton(conflict, "linkding", "Keep theirs"));
+    if (canKeepBoth(conflict, urlNormalization)) actions.append(conflictButton(conflict, "both", "Keep both"));
+
+    item.append(desc, versions, actions);
+    list.appendChild(item);
+  }
+}
 
-document.addEventListener("DOMContentLoaded", async () => {
-  const s = await chrome.storage.sync.get({
-    url: "",
-    token: "",
-    folderName: "Linkding",
-    parentFolderId: null,
-    oneWayEnabled: true,
-    excludedTags: "bookmark-sync",
-    autoSync: false,
-    autoSyncInterval: 60,
-    twoWayEnabled: false,
-    twoWaySyncTag: "bookmark-sync",
-    twoWaySyncFolderId: null,
-    twoWayInitialSyncDone: false,
+function renderConflictSide(label, version) {
+  const side = document.createElement("div");
+  side.className = "conflict-side";
+  const heading = document.createElement("div");
+  heading.className = "conflict-side-label";
+  heading.textContent = label;
+  const title = document.createElement("div");
+  title.textContent = version ? version.title : "Deleted";
+  side.append(heading, title);
+  if (version) {
+    const where = document.createElement("div");
+    where.className = "plan-where";
+    const folders = version.folderPaths.filter(Boolean).map(folderPathLabel).join(", ");
+    where.textContent = folders ? `${folders} · ${version.url}` : version.url;
+    side.appendChild(where);
+  }
+  return side;
+}
+
+function conflictButton(conflict, choice, label) {
+  const btn = document.createElement("button");
+  btn.className = "btn btn-secondary";
+  btn.textContent = label;
+  btn.addEventListener("click", () => {
+    document.querySelectorAll(".conflict-actions .btn").forEach((b) => { b.disabled = true; });
+    const msg = { action: "resolveConflict", profileId: currentProfileId, pairId: currentPairId, linkdingId: conflict.linkdingId, choice };
+    sendMessage(msg, (response) => {
+      if (response && response.ok) {
+        showToast("success", "Conflict resolved.");
+      } else {
+        showToast("error", response ? response.error : "Could not reach background worker. Try reloading.");
+      }
+      renderConflicts();
+    });
+  });
+  return btn;
+}
+
+// Show conflicts and deletions held by background syncs while the page is open
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local") return;
+  if (changes[pairStorageKey("twoWayConflicts", currentProfileId, currentPairId)]) {
+    renderConflicts();
+  }
+  if (changes[pairStorageKey("pendingDeletions", currentProfileId, currentPairId)]) {
+    renderHeldDeletions();
+  }
+  if (changes[pairStorageKey("recentlyRemoved", currentProfileId, currentPairId)]) {
+    renderRecentlyRemoved();
+  }
+});
+
+// What the background worker is running and has queued, e.g. a force merge waiting for
+// an auto-sync to finish
+async function renderSyncStatus() {
+  const el = document.getElementById("sync-status");
+  const status = await getSyncStatus();
+  el.textContent = syncStatusText(status, profiles);
+  el.title = status.queued.map((job) => describeSyncJob(job, profiles)).join("\n");
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "session" && (changes[SYNC_LOCK_KEY] || changes[SYNC_QUEUE_KEY])) renderSyncStatus();
+});
+
+// ===================== Sync History =====================
+
+const HISTORY_TRIGGER_LABELS = {
+  alarm: "Auto-sync timer", manual: "Manual", bookmark: "Bookmark change", retry: "Queued change retry",
+  popup: "Saved from popup",
+};
+const HISTORY_FILTER_IDS = ["history-profile", "history-trigger", "history-side", "history-action", "history-search", "history-changes-only"];
+
+document.querySelectorAll(".tab").forEach((tab) => {
+  tab.addEventListener("click", () => {
+    document.querySelectorAll(".tab").forEach((t) => t.classList.toggle("active", t === tab));
+    document.querySelectorAll(".view").forEach((view) => { view.hidden = view.id !== tab.dataset.view; });
+    if (tab.dataset.view === "history-view") renderHistory();
   });
+});
 
-  document.getElementById("url").value = s.url;
-  document.getElementById("token").value = s.token;
-  document.getElementById("folder-name").value = s.folderName;
-  document.getElementById("excluded-tags").value = s.excludedTags;
+for (const id of HISTORY_FILTER_IDS) {
+  document.getElementById(id).addEventListener("input", renderHistory);
+}
 
-  // One-way sync
-  oneWayToggle.checked = s.oneWayEnabled;
-  if (s.oneWayEnabled) {
-    oneWaySettings.classList.add("visible");
+// List the runs and, within each, the changes that match the filters. Filtering by side,
+// change or text hides runs without a matching change.
+async function renderHistory() {
+  renderUndo();
+  const history = await getSyncHistory();
+  const profileSelect = document.getElementById("history-profile");
+  const profileId = profileSelect.value;
+  profileSelect.innerHTML = '<option value="">All profiles</option>';
+  for (const profile of profiles) {
+    profileSelect.add(new Option(profile.name, profile.id, false, profile.id === profileId));
   }
+  const trigger = document.getElementById("history-trigger").value;
+  const side = document.getElementById("history-side").value;
+  const actions = document.getElementById("history-action").value.split(",").filter(Boolean);
+  const search = document.getElementById("history-search").value.trim().toLowerCase();
+  const changesOnly = document.getElementById("history-changes-only").checked;
+  const filtered = side || actions.length > 0 || search;
+
+  const list = document.getElementById("history-list");
+  list.innerHTML = "";
+  for (const run of history) {
+    if ((profileId && run.profileId !== profileId) || (trigger && run.trigger !== trigger)) continue;
+    if (changesOnly && !run.error && run.changes.length === 0) continue;
+    const changes = run.changes.filter((change) =>
+      (!side || change.target === side) &&
+      (actions.length === 0 || actions.includes(change.action)) &&
+      (!search || [change.title, change.oldTitle, change.url, change.oldUrl].some((text) => text && text.toLowerCase().includes(search))));
+    if (filtered && changes.length === 0) continue;
+    list.appendChild(renderHistoryRun(run, changes, filtered));
+  }
+  if (!list.firstChild) {
+    const empty = document.createElement("div");
+    empty.className = "history-empty";
+    empty.textContent = history.length > 0 ? "No syncs match the filters." : "No syncs have run yet.";
+    list.appendChild(empty);
+  }
+}
 
-  // Auto-sync
-  autoSyncToggle.checked = s.autoSync;
-  if (s.autoSync) intervalRow.classList.add("visible");
-  selectedInterval = s.autoSyncInterval;
-  intervalOptions.forEach((opt) => {
-    if (parseInt(opt.dataset.val) === s.autoSyncInterval) opt.classList.add("active");
+function renderHistoryRun(run, changes, filtered) {
+  const item = document.createElement("details");
+  item.className = "history-run";
+  item.open = !!filtered;
+
+  const summary = document.createElement("summary");
+  summary.textContent = [
+    new Date(run.startedAt).toLocaleString(),
+    describeSyncJob(run, profiles),
+    HISTORY_TRIGGER_LABELS[run.trigger],
+    `${(run.duration / 1000).toFixed(1)} s`,
+  ].join(" \u2022 ");
+  const outcome = document.createElement("span");
+  if (run.error) {
+    outcome.className = "history-error";
+    outcome.textContent = ` \u2022 Failed: ${run.error}`;
+  } else {
+    outcome.className = "plan-where";
+    outcome.textContent = run.changes.length > 0 ? `${run.changes.length + run.omitted} change(s)` : "No changes";
+  }
+  summary.appendChild(outcome);
+  item.appendChild(summary);
+
+  if (run.warnings.length > 0) {
+    const warning = document.createElement("div");
+    warning.className = "plan-warning";
+    warning.textContent = run.warnings.join("\n");
+    item.appendChild(warning);
+  }
+  const rows = document.createElement("ul");
+  rows.className = "plan-list";
+  for (const change of changes) rows.appendChild(renderPlanRow(change));
+  const notes = [];
+  if (filtered && changes.length < run.changes.length) notes.push(`${run.changes.length - changes.length} more not matching the filters`);
+  if (run.omitted > 0) notes.push(`${run.omitted} more not kept`);
+  if (run.reordered > 0) notes.push(`${run.reordered} reordered`);
+  if (notes.length > 0) {
+    const more = document.createElement("li");
+    more.className = "plan-row plan-where";
+    more.textContent = `${changes.length > 0 ? "...and " : ""}${notes.join(", ")}`;
+    rows.appendChild(more);
+  }
+  item.appendChild(rows);
+  return item;
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[SYNC_HISTORY_KEY] && !document.getElementById("history-view").hidden) {
+    renderHistory();
+  }
+  if (area === "local" && changes[SYNC_SNAPSHOT_KEY]) renderUndo();
+});
+
+// The last sync that changed something, which "Undo Last Sync" reverses
+async function renderUndo() {
+  const snapshot = await getSyncSnapshot();
+  document.getElementById("undo-row").classList.toggle("visible", !!snapshot);
+  if (!snapshot) return;
+  const { run, changes } = snapshot;
+  document.getElementById("undo-text").textContent =
+    `Last sync: ${describeSyncJob(run, profiles)}, ${new Date(run.startedAt).toLocaleString()} (${changes.length} change(s))`;
+}
+
+document.getElementById("undo-last-sync").addEventListener("click", async () => {
+  const snapshot = await getSyncSnapshot();
+  if (!snapshot) return;
+  const { run, changes } = snapshot;
+  if (!confirm(`Undo "${describeSyncJob(run, profiles)}" from ${new Date(run.startedAt).toLocaleString()}? ` +
+    `Its ${changes.length} change(s) are reversed in the browser and in Linkding, and the two-way mapping is put back ` +
+    "as it was. Later edits to the same bookmarks may be lost.")) return;
+
+  const btn = document.getElementById("undo-last-sync");
+  btn.disabled = true;
+  btn.textContent = "Undoing...";
+  sendMessage({ action: "undoLastSync", profileId: run.profileId, runId: run.id }, (response) => {
+    btn.disabled = false;
+    btn.textContent = "Undo Last Sync";
+    if (response && response.ok) {
+      showToast("success", `Undone: ${response.result.restored} change(s) reversed.`);
+    } else {
+      showToast("error", response ? response.error : "Could not reach background worker. Try reloading.");
+    }
   });
+});
 
-  // Two-way sync
-  twoWayToggle.checked = s.twoWayEnabled;
-  if (s.twoWayEnabled) {
-    twoWaySettings.classList.add("visible");
-    await loadTwoWayTree();
+// ===================== Held Deletions =====================
+
+async function renderHeldDeletions() {
+  const pending = await getPendingDeletions(currentProfileId, currentPairId);
+  document.getElementById("held-section").classList.toggle("visible", !!pending);
+  const list = document.getElementById("held-list");
+  list.innerHTML = "";
+  if (!pending) return;
+
+  document.getElementById("held-summary").textContent =
+    `The last sync would have deleted ${pending.deletions.length} of ${pending.tracked} bookmarks, so nothing was ` +
+    "deleted. Delete them if that's what you meant, or keep them to copy each back to the side it's missing from.";
+  for (const deletion of pending.deletions.slice(0, PLAN_LIST_LIMIT)) {
+    const row = document.createElement("li");
+    row.className = "plan-row";
+    const action = document.createElement("span");
+    action.className = "plan-action remove";
+    action.textContent = "Delete";
+    const text = document.createElement("div");
+    text.className = "plan-text";
+    text.textContent = deletion.title || deletion.url;
+    const where = document.createElement("div");
+    where.className = "plan-where";
+    where.textContent = `${PLAN_TARGET_LABELS[deletion.target]} · ${deletion.url}`;
+    text.appendChild(where);
+    row.append(action, text);
+    list.appendChild(row);
+  }
+}
+
+function resolveHeldDeletions(action) {
+  const buttons = [document.getElementById("confirm-deletions"), document.getElementById("discard-deletions")];
+  buttons.forEach((b) => { b.disabled = true; });
+  sendMessage({ action, profileId: currentProfileId, pairId: currentPairId }, (response) => {
+    buttons.forEach((b) => { b.disabled = false; });
+    if (response && response.ok) {
+      const r = response.result;
+      showToast("success", action === "confirmDeletions" ? `Deleted ${r.removed} bookmarks.` : `Kept the bookmarks. Restored: ${r.added}`);
+    } else {
+      showToast("error", response ? response.error : "Could not reach background worker. Try reloading.");
+    }
+    renderHeldDeletions();
+  });
+}
+
+document.getElementById("confirm-deletions").addEventListener("click", () => resolveHeldDeletions("confirmDeletions"));
+document.getElementById("discard-deletions").addEventListener("click", () => resolveHeldDeletions("discardDeletions"));
+
+// ===================== Recently Removed =====================
+
+const REMOVED_POLICY_LABELS = { delete: "Deleted", archive: "Archived", untag: "Untagged" };
+
+async function renderRecentlyRemoved() {
+  const removed = await getRecentlyRemoved(currentProfileId, currentPairId);
+  document.getElementById("removed-section").classList.toggle("visible", removed.length > 0);
+  const list = document.getElementById("removed-list");
+  list.innerHTML = "";
+
+  for (const item of removed) {
+    const row = document.createElement("li");
+    row.className = "plan-row removed-row";
+    const action = document.createElement("span");
+    action.className = `plan-action ${item.policy === "delete" ? "remove" : "archive"}`;
+    action.textContent = REMOVED_POLICY_LABELS[item.policy];
+    const text = document.createElement("div");
+    text.className = "plan-text";
+    text.textContent = item.title;
+    const where = document.createElement("div");
+    where.className = "plan-where";
+    const folders = item.folderPaths.filter(Boolean).map(folderPathLabel).join(", ");
+    where.textContent = `${folders ? `${folders} · ` : ""}${item.url} · ${new Date(item.removedAt).toLocaleString()}`;
+    text.appendChild(where);
+
+    const restore = document.createElement("button");
+    restore.className = "btn btn-secondary";
+    restore.textContent = "Restore";
+    restore.addEventListener("click", () => {
+      restore.disabled = true;
+      const msg = { action: "restoreRemoved", profileId: currentProfileId, pairId: currentPairId, linkdingId: item.linkdingId };
+      sendMessage(msg, (response) => {
+        if (response && response.ok) {
+          showToast("success", `Restored "${item.title}".`);
+        } else {
+          restore.disabled = false;
+          showToast("error", response ? response.error : "Could not reach background worker. Try reloading.");
+        }
+      });
+    });
+
+    row.append(action, text, restore);
+    list.appendChild(row);
+  }
+}
+
+// ===================== Profiles =====================
+
+const profileSelect = document.getElementById("profile-select");
+
+function currentProfile() {
+  return profiles.find((p) => p.id === currentProfileId);
+}
+
+function renderProfileSelect() {
+  profileSelect.innerHTML = "";
+  for (const profile of profiles) {
+    const opt = document.createElement("option");
+    opt.value = profile.id;
+    opt.textContent = profile.name;
+    profileSelect.appendChild(opt);
   }
-  document.getElementById("twoway-tag").value = s.twoWaySyncTag;
-  selectedTwoWayFolderId = s.twoWaySyncFolderId;
+  profileSelect.value = currentProfileId;
+  document.getElementById("delete-profile").disabled = profiles.length < 2;
+}
+
+// Fill the form with a profile's settings. Unsaved edits to the previous profile are discarded.
+async function showProfile(profile) {
+  currentProfileId = profile.id;
+
+  document.getElementById("profile-name").value = profile.name;
+  document.getElementById("url").value = profile.url;
+  document.getElementById("token").value = profile.token;
+  document.getElementById("folder-name").value = profile.folderName;
+  document.getElementById("folder-layout").value = profile.folderLayout;
+  document.getElementById("bookmark-sort").value = profile.bookmarkSort;
+  document.getElementById("folder-sort").value = profile.folderSort;
+  document.getElementById("excluded-tags").value = profile.excludedTags;
+  tagHierarchyToggle.checked = profile.tagHierarchy;
+  tagSeparatorRow.classList.toggle("visible", profile.tagHierarchy);
+  document.getElementById("tag-separator").value = profile.tagSeparator;
+  unreadFolderToggle.checked = profile.unreadFolderEnabled;
+  document.getElementById("unread-folder-row").classList.toggle("visible", profile.unreadFolderEnabled);
+  document.getElementById("unread-folder-name").value = profile.unreadFolderName;
+  archiveFolderToggle.checked = profile.archiveFolderEnabled;
+  document.getElementById("archive-folder-row").classList.toggle("visible", profile.archiveFolderEnabled);
+  document.getElementById("archive-folder-name").value = profile.archiveFolderName;
+  smartFoldersEl.innerHTML = "";
+  for (const f of profile.smartFolders) addSmartFolderRow(f.name, f.query);
+  setConnectionStatus("idle", "Not tested");
 
-  if (s.twoWayEnabled && s.twoWayInitialSyncDone) {
-    document.getElementById("initial-done-badge").classList.add("visible");
-  } else if (s.twoWayEnabled) {
-    document.getElementById("initial-sync-section").classList.add("visible");
+  // One-way sync
+  oneWayToggle.checked = profile.oneWayEnabled;
+  oneWaySettings.classList.toggle("visible", profile.oneWayEnabled);
+  selectedParentId = profile.parentFolderId;
+  document.getElementById("selected-path").classList.remove("visible");
+
+  // Two-way sync
+  twoWayToggle.checked = profile.twoWayEnabled;
+  twoWaySettings.classList.toggle("visible", profile.twoWayEnabled);
+  document.getElementById("conflict-policy").value = profile.twoWayConflictPolicy;
+  document.getElementById("delete-policy").value = profile.twoWayDeletePolicy;
+  document.getElementById("guard-count").value = profile.deletionGuardCount;
+  document.getElementById("guard-percent").value = profile.deletionGuardPercent;
+  for (const box of document.querySelectorAll("#url-normalization input")) {
+    box.checked = !!profile.urlNormalization[box.dataset.option];
   }
+  twoWayPairs = profile.twoWayPairs.map((pair) => ({ ...pair }));
+  currentPairId = twoWayPairs[0].id;
+  renderPairSelect();
+  await showPair(twoWayPairs[0]);
 
   // Load one-way tree (always, so selection is restored)
   await loadTree();
+}
+
+profileSelect.addEventListener("change", () => {
+  showProfile(profiles.find((p) => p.id === profileSelect.value));
+});
+
+document.getElementById("add-profile").addEventListener("click", async () => {
+  const profile = withTwoWayPairs({
+    ...PROFILE_DEFAULTS,
+    id: createId(),
+    name: `Profile ${profiles.length + 1}`,
+    oneWayEnabled: false,
+  });
+  profiles.push(profile);
+  await saveProfiles(profiles);
+  currentProfileId = profile.id;
+  renderProfileSelect();
+  await showProfile(profile);
+  showToast("success", `Created "${profile.name}". Configure it and save.`);
+});
+
+document.getElementById("delete-profile").addEventListener("click", async () => {
+  const profile = currentProfile();
+  if (profiles.length < 2) return;
+  if (!confirm(`Delete profile "${profile.name}"? Its two-way sync mapping on this device is removed too. Bookmarks are not touched.`)) return;
+  profiles = profiles.filter((p) => p.id !== profile.id);
+  await saveProfiles(profiles);
+  currentProfileId = profiles[0].id;
+  renderProfileSelect();
+  await showProfile(profiles[0]);
+  showToast("success", `Deleted "${profile.name}".`);
+});
+
+// ===================== Load settings =====================
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const s = await getSettings();
+
+  // Auto-sync
+  autoSyncToggle.checked = s.autoSync;
+  if (s.autoSync) intervalRow.classList.add("visible");
+  selectedInterval = s.autoSyncInterval;
+  intervalOptions.forEach((opt) => {
+    if (parseInt(opt.dataset.val) === s.autoSyncInterval) opt.classList.add("active");
+  });
+  document.getElementById("api-concurrency").value = s.apiConcurrency;
+  document.getElementById("api-rate").value = s.apiRequestsPerSecond;
+
+  profiles = await getProfiles();
+  currentProfileId = profiles[0].id;
+  renderProfileSelect();
+  await showProfile(profiles[0]);
+  renderSyncStatus();
 });
 
 document.getElementById("folder-name").addEventListener("input", () => {
@@ -356,7 +961,7 @@ document.getElementById("test").addEventListener("click", async () => {
   setConnectionStatus("testing", "Testing...");
 
   try {
-    const resp = await fetch(`${url}/api/bookmarks/?limit=1`, {
+    const resp = await apiFetch(`${url}/api/bookmarks/?limit=1`, {
       headers: { Authorization: `Token ${token}` },
     });
     if (resp.ok) {
@@ -379,13 +984,18 @@ function setConnectionStatus(state, text) {
 // ===================== Save =====================
 
 document.getElementById("save").addEventListener("click", async () => {
+  const name = document.getElementById("profile-name").value.trim();
   const url = document.getElementById("url").value.trim().replace(/\/+$/, "");
   const token = document.getElementById("token").value.trim();
   const folderName = document.getElementById("folder-name").value.trim() || "Linkding";
   const oneWayEnabled = oneWayToggle.checked;
   const autoSync = autoSyncToggle.checked;
   const twoWayEnabled = twoWayToggle.checked;
-  const twoWaySyncTag = document.getElementById("twoway-tag").value.trim() || "bookmark-sync";
+
+  if (!name) {
+    showToast("error", "Enter a profile name.");
+    return;
+  }
 
   if (!url || !token) {
     showToast("error", "URL and API token are required.");
@@ -402,49 +1012,67 @@ document.getElementById("save").addEventListener("click", async () => {
     return;
   }
 
+  const smartFolders = readSmartFolders();
+  if (!smartFolders) return;
+
   if (twoWayEnabled) {
-    if (!selectedTwoWayFolderId) {
-      showToast("error", "Select a folder for two-way sync.");
-      return;
-    }
-    if (!twoWaySyncTag) {
-      showToast("error", "Enter a sync tag for two-way sync.");
+    if (!validatePairs()) return;
+    const conflict = await checkFolderConflict();
+    if (conflict) {
+      showToast("error", conflict);
       return;
     }
-    if (oneWayEnabled) {
-      const hasConflict = await checkFolderConflict();
-      if (hasConflict) {
-        showToast("error", "Two-way sync folder conflicts with the full download folder. Choose a different folder.");
-        return;
-      }
-    }
-
-    const { twoWayInitialSyncDone } = await chrome.storage.sync.get({ twoWayInitialSyncDone: false });
-    if (!twoWayInitialSyncDone) {
-      document.getElementById("initial-sync-section").classList.add("visible");
-    }
   }
 
-  chrome.storage.sync.set(
-    {
-      url,
-      token,
-      folderName,
-      parentFolderId: oneWayEnabled ? selectedParentId : null,
-      oneWayEnabled,
-      excludedTags: document.getElementById("excluded-tags").value.trim(),
-      autoSync,
-      autoSyncInterval: selectedInterval,
-      twoWayEnabled,
-      twoWaySyncTag,
-      twoWaySyncFolderId: twoWayEnabled ? selectedTwoWayFolderId : null,
-    },
-    () => showToast("success", "Settings saved!")
-  );
+  const profile = {
+    ...currentProfile(),
+    name,
+    url,
+    token,
+    folderName,
+    folderLayout: document.getElementById("folder-layout").value,
+    bookmarkSort: document.getElementById("bookmark-sort").value,
+    folderSort: document.getElementById("folder-sort").value,
+    parentFolderId: oneWayEnabled ? selectedParentId : null,
+    oneWayEnabled,
+    excludedTags: document.getElementById("excluded-tags").value.trim(),
+    tagHierarchy: tagHierarchyToggle.checked,
+    tagSeparator: document.getElementById("tag-separator").value,
+    smartFolders,
+    unreadFolderEnabled: unreadFolderToggle.checked,
+    unreadFolderName: document.getElementById("unread-folder-name").value.trim() || "Read Later",
+    archiveFolderEnabled: archiveFolderToggle.checked,
+    archiveFolderName: document.getElementById("archive-folder-name").value.trim() || "Archive",
+    twoWayEnabled,
+    twoWayConflictPolicy: document.getElementById("conflict-policy").value,
+    twoWayDeletePolicy: document.getElementById("delete-policy").value,
+    deletionGuardCount: readGuardLimit("guard-count", PROFILE_DEFAULTS.deletionGuardCount),
+    deletionGuardPercent: Math.min(100, readGuardLimit("guard-percent", PROFILE_DEFAULTS.deletionGuardPercent)),
+    urlNormalization: Object.fromEntries([...document.querySelectorAll("#url-normalization input")]
+      .map((box) => [box.dataset.option, box.checked])),
+    twoWayPairs: twoWayPairs.map((pair) => ({ ...pair })),
+  };
+  profiles = profiles.map((p) => (p.id === profile.id ? profile : p));
+  await saveProfiles(profiles);
+  await chrome.storage.sync.set({
+    autoSync,
+    autoSyncInterval: selectedInterval,
+    apiConcurrency: Math.max(1, readGuardLimit("api-concurrency", SETTINGS_DEFAULTS.apiConcurrency)),
+    apiRequestsPerSecond: Math.max(1, readGuardLimit("api-rate", SETTINGS_DEFAULTS.apiRequestsPerSecond)),
+  });
+  renderProfileSelect();
+  await showPair(currentPair()); // Offer the initial sync for newly saved pairs
+  showToast("success", "Settings saved!");
 });
 
 // ===================== Helpers =====================
 
+// Whole, non-negative number from a guard limit input; blank or invalid falls back to the default
+function readGuardLimit(id, fallback) {
+  const value = parseInt(document.getElementById(id).value, 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
 // Send a message to the background worker, retrying once if the service worker is hibernated
 function sendMessage(msg, callback) {
   chrome.runtime.sendMessage(msg, (response) => {
@@ -470,27 +1098,173 @@ function showToast(type, msg) {
   clearTimeout(toastTimer);
   toastTimer = setTimeout(() => el.classList.remove("visible"), 3000);
 }
+// ===================== Sync Plan Preview =====================
+
+const PLAN_ACTION_LABELS = {
+  create: "Add", update: "Update", move: "Move", remove: "Delete", reorder: "Reorder", archive: "Archive",
+  unarchive: "Unarchive",
+};
+const PLAN_TARGET_LABELS = { chrome: "Browser", linkding: "Linkding" };
+const PLAN_LIST_LIMIT = 500;
+
+const planDialog = document.getElementById("plan-dialog");
+let resolvePlan = null;
+
+// Run a sync as a dry run and show the changes it would make. Resolves true if the
+// user chooses Apply, false on Cancel or when planning fails.
+function reviewPlan(msg, title, warning = "") {
+  return new Promise((resolve) => {
+    sendMessage({ ...msg, dryRun: true }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        showToast("error", "Could not reach background worker. Try reloading.");
+        resolve(false);
+      } else if (!response.ok) {
+        showToast("error", response.error || "Unknown error");
+        resolve(false);
+      } else {
+        resolvePlan = resolve;
+        const warnings = [warning, ...(response.result.warnings || [])].filter(Boolean);
+        showPlan(title, warnings.join("\n"), response.result.changes);
+      }
+    });
+  });
+}
+
+function showPlan(title, warning, changes) {
+  document.getElementById("plan-title").textContent = title;
+  document.getElementById("plan-warning").textContent = warning;
+
+  // Summary line per side, e.g. "Browser: 3 to add, 1 to delete"
+  const counts = {};
+  for (const change of changes) {
+    const side = (counts[change.target] = counts[change.target] || {});
+    side[change.action] = (side[change.action] || 0) + 1;
+  }
+  const summary = Object.entries(counts).map(([target, actions]) => {
+    const parts = Object.entries(actions).map(([action, n]) => `${n} to ${PLAN_ACTION_LABELS[action].toLowerCase()}`);
+    return `${PLAN_TARGET_LABELS[target]}: ${parts.join(", ")}`;
+  });
+  document.getElementById("plan-summary").textContent = summary.length ? summary.join("\n") : "Nothing to change.";
+
+  // Reorders are only counted; listing every shifted bookmark would bury the rest
+  const list = document.getElementById("plan-list");
+  list.innerHTML = "";
+  const listed = changes.filter((c) => c.action !== "reorder");
+  for (const change of listed.slice(0, PLAN_LIST_LIMIT)) {
+    list.appendChild(renderPlanRow(change));
+  }
+  if (listed.length > PLAN_LIST_LIMIT) {
+    const more = document.createElement("li");
+    more.className = "plan-row plan-where";
+    more.textContent = `...and ${listed.length - PLAN_LIST_LIMIT} more`;
+    list.appendChild(more);
+  }
+
+  planDialog.showModal();
+}
+
+function renderPlanRow(change) {
+  const row = document.createElement("li");
+  row.className = "plan-row";
+
+  const action = document.createElement("span");
+  action.className = `plan-action ${change.action}`;
+  const isFolder = change.target === "chrome" && !change.url;
+  action.textContent = `${PLAN_ACTION_LABELS[change.action]}${isFolder ? " folder" : ""}`;
+
+  const text = document.createElement("div");
+  text.className = "plan-text";
+  text.textContent = change.oldTitle && change.oldTitle !== change.title
+    ? `${change.oldTitle} → ${change.title}`
+    : change.title || change.url;
+
+  const where = document.createElement("div");
+  where.className = "plan-where";
+  const url = change.oldUrl && change.oldUrl !== change.url ? `${change.oldUrl} → ${change.url}` : change.url;
+  if (change.target === "chrome") {
+    const folder = change.action === "move" ? `${change.fromFolder} → ${change.folder}` : change.folder;
+    where.textContent = change.action === "update" && url !== change.url ? `${folder} · ${url}` : folder;
+  } else {
+    where.textContent = `Linkding · ${url}${change.tags ? ` · ${change.tags.join(", ")}` : ""}`;
+  }
+  text.appendChild(where);
+
+  row.append(action, text);
+  return row;
+}
+
+function closePlan(apply) {
+  if (planDialog.open) planDialog.close();
+  if (resolvePlan) resolvePlan(apply);
+  resolvePlan = null;
+}
+
+document.getElementById("plan-apply").addEventListener("click", () => closePlan(true));
+document.getElementById("plan-cancel").addEventListener("click", () => closePlan(false));
+planDialog.addEventListener("close", () => closePlan(false)); // Escape key
+
+// Preview the one-way download, then run it if applied
+document.getElementById("preview-sync").addEventListener("click", async () => {
+  const btn = document.getElementById("preview-sync");
+  btn.disabled = true;
+  btn.textContent = "Planning...";
+  const apply = await reviewPlan({ action: "sync", profileId: currentProfileId }, "Sync Linkding to browser");
+  if (apply) {
+    btn.textContent = "Syncing...";
+    await new Promise((resolve) => {
+      sendMessage({ action: "sync", profileId: currentProfileId }, (response) => {
+        if (response && response.ok) {
+          const r = response.result;
+          showToast("success", `Synced!\nAdded: ${r.created}, Removed: ${r.removed}, Updated: ${r.updated}, Moved: ${r.moved}`);
+        } else {
+          showToast("error", response ? response.error : "Could not reach background worker. Try reloading.");
+        }
+        resolve();
+      });
+    });
+  }
+  btn.disabled = false;
+  btn.textContent = "Preview Sync";
+});
+
 // ===================== Manual Sync =====================
 
-function runManualSync(mode) {
+const FORCE_WARNINGS = {
+  push: "FORCE PUSH overwrites Linkding bookmarks with your browser bookmarks for the synced tag. Linkding tags on these bookmarks might be reset to just the sync tags.",
+  pull: "FORCE PULL replaces the bookmarks in the sync folder with data from Linkding. Any browser-only bookmarks in this folder will be lost.",
+  merge: "",
+};
+
+async function runManualSync(mode) {
   const btnId = `force-${mode}-btn`;
   const btn = document.getElementById(btnId);
   const progress = document.getElementById("manual-progress");
   const progressText = document.getElementById("manual-progress-text");
 
-  // Confirm destructive actions
-  if (mode === "push") {
-    if (!confirm("FORCE PUSH: This will OVERWRITE Linkding bookmarks with your Chrome bookmarks for the synced tag. Linkding tags on these bookmarks might be reset to just the sync tags. Continue?")) return;
-  }
-  if (mode === "pull") {
-    if (!confirm("FORCE PULL: This will REPLACE your Chrome bookmarks in the sync folder with data from Linkding. Any Chrome-only bookmarks in this folder will be lost. Continue?")) return;
-  }
+  const resetButtons = () => {
+    ["push", "pull", "merge"].forEach(m => {
+      document.getElementById(`force-${m}-btn`).disabled = false;
+    });
+    document.getElementById("force-push-btn").textContent = "Force Push";
+    document.getElementById("force-pull-btn").textContent = "Force Pull";
+    document.getElementById("force-merge-btn").textContent = "Force Merge";
+  };
 
   // Disable all buttons
   ["push", "pull", "merge"].forEach(m => {
     document.getElementById(`force-${m}-btn`).disabled = true;
   });
 
+  // Show what the action would change and let the user back out
+  btn.textContent = "Planning...";
+  const title = `Force ${mode.charAt(0).toUpperCase()}${mode.slice(1)}`;
+  const msg = { action: "twoWayInitialSync", profileId: currentProfileId, pairId: currentPairId, mode };
+  const apply = await reviewPlan(msg, title, FORCE_WARNINGS[mode]);
+  if (!apply) {
+    resetButtons();
+    return;
+  }
+
   btn.textContent = "Syncing...";
   progress.classList.add("visible");
   progressText.textContent = `Starting force ${mode}...`;
@@ -502,14 +1276,9 @@ function runManualSync(mode) {
     fill.style.animation = "indeterminate 1.5s infinite linear"; // Start with indeterminate until numbers arrive
   }
 
-  sendMessage({ action: "twoWayInitialSync", mode }, (response) => {
+  sendMessage(msg, (response) => {
     // Re-enable buttons
-    ["push", "pull", "merge"].forEach(m => {
-      document.getElementById(`force-${m}-btn`).disabled = false;
-    });
-    document.getElementById("force-push-btn").textContent = "Force Push";
-    document.getElementById("force-pull-btn").textContent = "Force Pull";
-    document.getElementById("force-merge-btn").textContent = "Force Merge";
+    resetButtons();
 
     progress.classList.remove("visible");
 
@@ -538,7 +1307,7 @@ document.getElementById("force-pull-btn").addEventListener("click", () => runMan
 document.getElementById("force-merge-btn").addEventListener("click", () => runManualSync("merge"));
 // Listen for progress updates from background
 chrome.runtime.onMessage.addListener((msg) => {
-  if (msg.action === "twoWayProgress") {
+  if (msg.action === "twoWayProgress" && msg.profileId === currentProfileId) {
     const text = msg.text || "";
     const progressFill = document.getElementById("manual-progress-fill");
     const progressText = document.getElementById("manual-progress-text");
@@ -5,71 +5,89 @@ const progressBar = document.getElementById("progress-bar");
 const progressText = document.getElementById("progress-text");
 const resultEl = document.getElementById("result");
 
+let currentProfileId = DEFAULT_PROFILE_ID;
+
 // --------------- Load last sync info on open ---------------
 
 document.addEventListener("DOMContentLoaded", async () => {
-  const s = await chrome.storage.sync.get({
-    url: "",
-    oneWayEnabled: true,
-    autoSync: false,
-    autoSyncInterval: 60,
-    lastSyncTime: null,
-    lastSyncCount: null,
-    lastSyncTags: null,
-    twoWayEnabled: false,
-    twoWayInitialSyncDone: false,
-    twoWayLastSyncTime: null,
-    twoWaySyncTag: "bookmark-sync",
-  });
-
-  // Instance URL
-  const urlEl = document.getElementById("instance-url");
-  if (s.url) {
-    try {
-      urlEl.textContent = new URL(s.url).host;
-    } catch {
-      urlEl.textContent = s.url;
-    }
-  } else {
-    urlEl.textContent = "Not configured";
+  const settings = await getSettings();
+  const profiles = await getProfiles();
+  const states = new Map();
+  for (const profile of profiles) {
+    states.set(profile.id, await getProfileState(profile.id));
   }
 
   // Auto-sync badge
   const badge = document.getElementById("auto-badge");
   const autoLabel = document.getElementById("auto-label");
-  if (s.autoSync) {
+  if (settings.autoSync) {
     badge.className = "auto-badge on";
-    autoLabel.textContent = `Auto-sync every ${formatInterval(s.autoSyncInterval)}`;
+    autoLabel.textContent = `Auto-sync every ${formatInterval(settings.autoSyncInterval)}`;
   } else {
     badge.className = "auto-badge off";
     autoLabel.textContent = "Auto-sync off";
   }
 
-  const hasTwoWay = s.twoWayEnabled && s.twoWayInitialSyncDone;
+  // Restore the last viewed profile
+  const { popupProfileId } = await chrome.storage.local.get({ popupProfileId: null });
+  const initial = profiles.find((p) => p.id === popupProfileId) || profiles[0];
+  currentProfileId = initial.id;
+
+  // Profile switcher and per-profile status list, only when there is more than one
+  const select = document.getElementById("profile-select");
+  if (profiles.length > 1) {
+    for (const profile of profiles) {
+      const opt = document.createElement("option");
+      opt.value = profile.id;
+      opt.textContent = profile.name;
+      select.appendChild(opt);
+    }
+    select.value = currentProfileId;
+    select.style.display = "block";
+    select.addEventListener("change", () => {
+      currentProfileId = select.value;
+      chrome.storage.local.set({ popupProfileId: currentProfileId });
+      resultEl.className = "result";
+      twoWayResult.style.display = "none";
+      renderProfile(profiles.find((p) => p.id === currentProfileId), states.get(currentProfileId));
+    });
+    renderProfileList(profiles, states);
+  }
+
+  await loadActiveTab();
+  renderProfile(initial, states.get(initial.id));
+  renderSyncStatus();
+});
+
+function renderProfile(profile, state) {
+  // Instance URL
+  const urlEl = document.getElementById("instance-url");
+  urlEl.textContent = profile.url ? hostOf(profile.url) : "Not configured";
+
+  const twoWayPairs = readyTwoWayPairs(profile, state);
+  const hasTwoWay = profile.twoWayEnabled && twoWayPairs.length > 0;
 
   // One-way section
-  if (s.oneWayEnabled) {
+  if (profile.oneWayEnabled) {
     document.getElementById("oneway-section").style.display = "block";
     // Add label if both modes are active
-    if (hasTwoWay) {
-      document.getElementById("oneway-label").textContent = "Full Download";
-    }
+    document.getElementById("oneway-label").textContent = hasTwoWay ? "Full Download" : "";
   } else {
     document.getElementById("oneway-section").style.display = "none";
   }
 
   // Stats — show if one-way is enabled
   const statsEl = document.querySelector(".stats");
-  if (s.oneWayEnabled) {
+  if (profile.oneWayEnabled) {
     statsEl.style.display = "flex";
     document.getElementById("stat-bookmarks").textContent =
-      s.lastSyncCount != null ? s.lastSyncCount : "--";
+      state.lastSyncCount != null ? state.lastSyncCount : "--";
     document.getElementById("stat-tags").textContent =
-      s.lastSyncTags != null ? s.lastSyncTags : "--";
+      state.lastSyncTags != null ? state.lastSyncTags : "--";
     document.getElementById("stat-last").textContent =
-      s.lastSyncTime ? timeAgo(s.lastSyncTime) : "--";
+      state.lastSyncTime ? timeAgo(state.lastSyncTime) : "--";
     document.getElementById("last-sync-time").textContent =
-      s.lastSyncTime ? `Last: ${new Date(s.lastSyncTime).toLocaleString()}` : "";
+      state.lastSyncTime ? `Last: ${new Date(state.lastSyncTime).toLocaleString()}` : "";
   } else {
     statsEl.style.display = "none";
     document.getElementById("last-sync-time").textContent = "";
@@ -78,13 +96,417 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Two-way sync section
   if (hasTwoWay) {
     document.getElementById("twoway-section").style.display = "block";
+    const tags = twoWayPairs.map((pair) => pair.tag).join(", ");
+    const label = twoWayPairs.length > 1 ? "Tags" : "Tag";
     document.getElementById("twoway-last-sync").textContent =
-      s.twoWayLastSyncTime
-        ? `Tag: ${s.twoWaySyncTag} \u2022 Last: ${timeAgo(s.twoWayLastSyncTime)}`
-        : `Tag: ${s.twoWaySyncTag}`;
+      state.twoWayLastSyncTime
+        ? `${label}: ${tags} \u2022 Last: ${timeAgo(state.twoWayLastSyncTime)}`
+        : `${label}: ${tags}`;
+  } else {
+    document.getElementById("twoway-section").style.display = "none";
   }
+  renderHeldDeletions(profile);
+  renderOutbox(profile.id);
+  renderQuickAdd(profile, state);
+}
+
+// Changes waiting in the outbox because Linkding couldn't be reached
+async function renderOutbox(profileId) {
+  const el = document.getElementById("twoway-outbox");
+  const outbox = await getOutbox(profileId);
+  if (profileId !== currentProfileId) return;
+  el.style.display = outbox.items.length > 0 ? "block" : "none";
+  el.textContent = `${outbox.items.length} change(s) waiting to be sent to Linkding` +
+    (outbox.retryAt ? ` \u2022 retrying ${new Date(outbox.retryAt).toLocaleTimeString()}` : "");
+  el.title = outbox.lastError || "";
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes[profileStorageKey("outbox", currentProfileId)]) renderOutbox(currentProfileId);
+  if (area === "session" && (changes[SYNC_LOCK_KEY] || changes[SYNC_QUEUE_KEY])) renderSyncStatus();
 });
 
+// What the background worker is running and has queued, for every profile
+async function renderSyncStatus() {
+  const el = document.getElementById("sync-status");
+  const [status, profiles] = await Promise.all([getSyncStatus(), getProfiles()]);
+  el.textContent = syncStatusText(status, profiles);
+  el.title = status.queued.map((job) => describeSyncJob(job, profiles)).join("\n");
+  el.style.display = el.textContent ? "block" : "none";
+}
+
+// One notice per folder/tag pair whose deletions are held by the mass-deletion guard
+async function renderHeldDeletions(profile) {
+  const container = document.getElementById("held-deletions");
+  container.innerHTML = "";
+  for (const pair of profile.twoWayPairs) {
+    const pending = await getPendingDeletions(profile.id, pair.id);
+    if (!pending || profile.id !== currentProfileId) continue;
+
+    const inBrowser = pending.deletions.filter((d) => d.target === "chrome").length;
+    const notice = document.createElement("div");
+    notice.className = "result visible error";
+    notice.textContent = `Sync of "${pair.tag}" would delete ${pending.deletions.length} of ${pending.tracked} bookmarks ` +
+      `(${inBrowser} in the browser, ${pending.deletions.length - inBrowser} in Linkding) and is waiting for you.`;
+
+    const actions = document.createElement("div");
+    actions.className = "held-actions";
+    actions.append(
+      heldDeletionButton(profile, pair, "confirmDeletions", "Delete them"),
+      heldDeletionButton(profile, pair, "discardDeletions", "Keep them"),
+    );
+    notice.appendChild(actions);
+    container.appendChild(notice);
+  }
+}
+
+function heldDeletionButton(profile, pair, action, label) {
+  const btn = document.createElement("button");
+  btn.textContent = label;
+  btn.addEventListener("click", () => {
+    document.querySelectorAll(".held-actions button").forEach((b) => { b.disabled = true; });
+    sendMessage({ action, profileId: profile.id, pairId: pair.id }, (response) => {
+      if (response && response.ok) {
+        const r = response.result;
+        showTwoWayResult("success", action === "confirmDeletions" ? `-${r.removed} removed (${r.total} total)` : `+${r.added} restored (${r.total} total)`);
+      } else {
+        showTwoWayResult("error", response ? response.error : "Could not reach background worker.");
+      }
+      renderHeldDeletions(profile);
+    });
+  });
+  return btn;
+}
+
+// One status row per profile: name, host and last sync of each enabled mode
+function renderProfileList(profiles, states) {
+  const list = document.getElementById("profile-list");
+  list.innerHTML = "";
+  for (const profile of profiles) {
+    const state = states.get(profile.id);
+    const row = document.createElement("div");
+    row.className = "profile-row";
+
+    const name = document.createElement("div");
+    name.className = "profile-name";
+    name.textContent = profile.name;
+
+    const status = document.createElement("div");
+    status.className = "profile-status";
+    const parts = [profile.url ? hostOf(profile.url) : "Not configured"];
+    if (profile.oneWayEnabled) {
+      parts.push(`Download: ${state.lastSyncTime ? timeAgo(state.lastSyncTime) : "never"}`);
+    }
+    if (profile.twoWayEnabled) {
+      parts.push(readyTwoWayPairs(profile, state).length > 0
+        ? `Two-way: ${state.twoWayLastSyncTime ? timeAgo(state.twoWayLastSyncTime) : "never"}`
+        : "Two-way: setup pending");
+    }
+    status.textContent = parts.join(" \u2022 ");
+
+    row.appendChild(name);
+    row.appendChild(status);
+    list.appendChild(row);
+  }
+  list.style.display = "block";
+}
+
+// --------------- Save This Page ---------------
+
+const quickAddPanel = document.getElementById("quickadd-panel");
+const quickAddForm = document.getElementById("quickadd-form");
+const quickAddTitle = document.getElementById("quickadd-title");
+const quickAddDescription = document.getElementById("quickadd-description");
+const quickAddNotes = document.getElementById("quickadd-notes");
+const quickAddTags = document.getElementById("quickadd-tags");
+const quickAddUnread = document.getElementById("quickadd-unread");
+const quickAddShared = document.getElementById("quickadd-shared");
+const quickAddToPair = document.getElementById("quickadd-to-pair");
+const quickAddPair = document.getElementById("quickadd-pair");
+const quickAddSave = document.getElementById("quickadd-save");
+const quickAddResult = document.getElementById("quickadd-result");
+
+const savedCard = document.getElementById("saved-bookmark");
+const savedEdit = document.getElementById("saved-edit");
+const savedTagsInput = document.getElementById("saved-tags-input");
+const savedNotesInput = document.getElementById("saved-notes-input");
+const savedUnreadInput = document.getElementById("saved-unread-input");
+const savedResult = document.getElementById("saved-result");
+
+let activeTab = null; // { url, title } of the page the popup was opened on
+let quickAddProfile = null;
+let savedBookmark = null; // The page's bookmark in the profile's Linkding, if it has one
+let knownTags = []; // Tag names on the profile's instance, for autocomplete
+
+// Only web pages can be saved
+async function loadActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (tab && /^https?:/.test(tab.url || "")) activeTab = { url: tab.url, title: tab.title || "" };
+}
+
+// Reset the form for a profile and look the page up in its Linkding. Its two-way pairs
+// are offered as folders to add the page to.
+function renderQuickAdd(profile, state) {
+  quickAddProfile = profile;
+  savedBookmark = null;
+  knownTags = [];
+  document.getElementById("quickadd-section").style.display =
+    activeTab && profile.url && profile.token ? "block" : "none";
+  if (!activeTab || !profile.url || !profile.token) return;
+
+  document.getElementById("quickadd-url").textContent = activeTab.url;
+  resetQuickAddForm();
+  quickAddResult.className = "result";
+  savedResult.className = "result";
+
+  const pairs = profile.twoWayEnabled ? readyTwoWayPairs(profile, state) : [];
+  quickAddPair.innerHTML = "";
+  for (const pair of pairs) {
+    const opt = document.createElement("option");
+    opt.value = pair.id;
+    opt.textContent = pair.tag;
+    quickAddPair.appendChild(opt);
+  }
+  quickAddToPair.checked = false;
+  document.getElementById("quickadd-pair-row").style.display = pairs.length > 0 ? "block" : "none";
+  quickAddPair.style.display = "none";
+
+  renderSavedBookmark();
+  loadQuickAdd();
+}
+
+function resetQuickAddForm() {
+  quickAddTitle.value = activeTab.title;
+  quickAddDescription.value = "";
+  quickAddNotes.value = "";
+  quickAddTags.value = "";
+  quickAddUnread.checked = false;
+  quickAddShared.checked = false;
+}
+
+// Fetch the instance's tags and the page's bookmark, if it is saved already
+async function loadQuickAdd() {
+  const profile = quickAddProfile;
+  try {
+    const [tags, existing] = await Promise.all([
+      fetchLinkdingTags(profile.url, profile.token),
+      checkLinkdingUrl(profile.url, profile.token, activeTab.url),
+    ]);
+    if (profile !== quickAddProfile) return;
+    knownTags = tags.sort((a, b) => a.localeCompare(b));
+    savedBookmark = existing;
+    renderSavedBookmark();
+  } catch (err) {
+    if (profile !== quickAddProfile) return;
+    showQuickAddResult("error", `Could not reach Linkding: ${err.message}`);
+  }
+}
+
+// A saved page shows its bookmark, to edit or delete, instead of the form to save it
+function renderSavedBookmark() {
+  savedCard.style.display = savedBookmark ? "block" : "none";
+  quickAddPanel.style.display = savedBookmark ? "none" : "block";
+  savedEdit.classList.remove("visible");
+  if (!savedBookmark) return;
+
+  document.getElementById("saved-unread").style.display = savedBookmark.unread ? "inline" : "none";
+  document.getElementById("saved-archived").style.display = savedBookmark.is_archived ? "inline" : "none";
+  const tagsEl = document.getElementById("saved-tags");
+  tagsEl.innerHTML = "";
+  for (const tag of savedBookmark.tag_names) {
+    const chip = document.createElement("span");
+    chip.className = "saved-tag";
+    chip.textContent = tag;
+    tagsEl.appendChild(chip);
+  }
+  if (savedBookmark.tag_names.length === 0) tagsEl.textContent = "No tags";
+  document.getElementById("saved-notes").textContent = savedBookmark.notes || "";
+  document.getElementById("saved-notes").style.display = savedBookmark.notes ? "block" : "none";
+}
+
+document.getElementById("quickadd-toggle").addEventListener("click", () => {
+  const open = quickAddForm.classList.toggle("visible");
+  document.getElementById("quickadd-arrow").textContent = open ? "\u25BE" : "\u25B8";
+});
+
+quickAddToPair.addEventListener("change", () => {
+  quickAddPair.style.display = quickAddToPair.checked && quickAddPair.options.length > 1 ? "block" : "none";
+});
+
+quickAddSave.addEventListener("click", () => {
+  const bookmark = {
+    url: activeTab.url,
+    title: quickAddTitle.value.trim(),
+    description: quickAddDescription.value.trim(),
+    notes: quickAddNotes.value.trim(),
+    tagNames: tagWords(quickAddTags),
+    unread: quickAddUnread.checked,
+    shared: quickAddShared.checked,
+  };
+  const pairId = quickAddToPair.checked ? quickAddPair.value : null;
+  const pairTag = quickAddToPair.checked ? quickAddPair.selectedOptions[0].textContent : null;
+  const profile = quickAddProfile;
+  quickAddSave.disabled = true;
+  document.getElementById("quickadd-save-label").textContent = "Saving...";
+  quickAddResult.className = "result";
+
+  sendMessage({ action: "quickAdd", profileId: profile.id, pairId, bookmark }, (response) => {
+    quickAddSave.disabled = false;
+    document.getElementById("quickadd-save-label").textContent = "Save to Linkding";
+    if (!response) {
+      showQuickAddResult("error", "Could not reach background worker.");
+      return;
+    }
+    if (!response.ok) {
+      showQuickAddResult("error", response.error);
+      return;
+    }
+    if (profile !== quickAddProfile) return;
+    const r = response.result;
+    let text = r.updated ? "Updated in Linkding" : "Saved to Linkding";
+    if (r.paired) text += ` and added to the "${pairTag}" folder`;
+    else if (pairId) text += `, already in the "${pairTag}" folder`;
+    savedBookmark = r.bookmark;
+    renderSavedBookmark();
+    showSavedResult("success", `${text}.`);
+  });
+});
+
+function showQuickAddResult(type, text) {
+  quickAddResult.className = `result visible ${type}`;
+  quickAddResult.textContent = text;
+}
+
+function showSavedResult(type, text) {
+  savedResult.className = `result visible ${type}`;
+  savedResult.textContent = text;
+}
+
+// --------------- Saved Bookmark ---------------
+
+document.getElementById("saved-edit-btn").addEventListener("click", () => {
+  savedTagsInput.value = savedBookmark.tag_names.join(" ");
+  savedNotesInput.value = savedBookmark.notes || "";
+  savedUnreadInput.checked = !!savedBookmark.unread;
+  savedResult.className = "result";
+  savedEdit.classList.add("visible");
+  savedTagsInput.focus();
+});
+
+document.getElementById("saved-cancel").addEventListener("click", () => savedEdit.classList.remove("visible"));
+
+document.getElementById("saved-save").addEventListener("click", () => {
+  const fields = {
+    tagNames: tagWords(savedTagsInput),
+    notes: savedNotesInput.value.trim(),
+    unread: savedUnreadInput.checked,
+  };
+  savedBookmarkAction({ action: "editBookmark", fields }, (r) => {
+    savedBookmark = r.bookmark;
+    renderSavedBookmark();
+    showSavedResult("success", "Bookmark updated.");
+  });
+});
+
+document.getElementById("saved-delete-btn").addEventListener("click", () => {
+  if (!confirm(`Delete "${savedBookmark.title || savedBookmark.url}" from Linkding?`)) return;
+  savedBookmarkAction({ action: "deleteBookmark" }, () => {
+    savedBookmark = null;
+    resetQuickAddForm();
+    renderSavedBookmark();
+    showQuickAddResult("success", "Deleted from Linkding.");
+  });
+});
+
+// Send an edit or delete of the saved bookmark, with its buttons disabled until done
+function savedBookmarkAction(msg, onDone) {
+  const profile = quickAddProfile;
+  const buttons = savedCard.querySelectorAll("button");
+  buttons.forEach((b) => { b.disabled = true; });
+  sendMessage({ ...msg, profileId: profile.id, linkdingId: savedBookmark.id }, (response) => {
+    buttons.forEach((b) => { b.disabled = false; });
+    if (!response) {
+      showSavedResult("error", "Could not reach background worker.");
+    } else if (!response.ok) {
+      showSavedResult("error", response.error);
+    } else if (profile === quickAddProfile) {
+      onDone(response.result);
+    }
+  });
+}
+
+// --------------- Tag Autocomplete ---------------
+
+// Tags are separated by spaces, as in Linkding; suggestions complete the last one
+function tagWords(input) {
+  return [...new Set(input.value.split(/\s+/).filter(Boolean))];
+}
+
+function attachTagAutocomplete(input, list) {
+  let active = 0;
+
+  function matches() {
+    const words = input.value.split(/\s+/);
+    const partial = words[words.length - 1].toLowerCase();
+    if (!partial) return [];
+    const used = new Set(words.slice(0, -1).map((word) => word.toLowerCase()));
+    return knownTags
+      .filter((tag) => tag.toLowerCase().startsWith(partial) && !used.has(tag.toLowerCase()))
+      .slice(0, 8);
+  }
+
+  function render() {
+    const tags = matches();
+    active = Math.min(active, Math.max(0, tags.length - 1));
+    list.innerHTML = "";
+    tags.forEach((tag, i) => {
+      const item = document.createElement("div");
+      item.className = i === active ? "tag-suggestion active" : "tag-suggestion";
+      item.textContent = tag;
+      // mousedown, so the input doesn't lose focus and hide the list first
+      item.addEventListener("mousedown", (e) => {
+        e.preventDefault();
+        complete(tag);
+      });
+      list.appendChild(item);
+    });
+    list.classList.toggle("visible", tags.length > 0);
+  }
+
+  function complete(tag) {
+    const words = input.value.split(/\s+/);
+    words[words.length - 1] = tag;
+    input.value = words.join(" ") + " ";
+    active = 0;
+    render();
+    input.focus();
+  }
+
+  input.addEventListener("input", () => {
+    active = 0;
+    render();
+  });
+  input.addEventListener("blur", () => list.classList.remove("visible"));
+  input.addEventListener("keydown", (e) => {
+    const tags = list.classList.contains("visible") ? matches() : [];
+    if (tags.length === 0) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      active = (active + (e.key === "ArrowDown" ? 1 : -1) + tags.length) % tags.length;
+      render();
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      complete(tags[active]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      list.classList.remove("visible");
+    }
+  });
+}
+
+attachTagAutocomplete(quickAddTags, document.getElementById("tag-suggestions"));
+attachTagAutocomplete(savedTagsInput, document.getElementById("saved-tag-suggestions"));
+
 // --------------- Settings link ---------------
 
 document.getElementById("open-options").addEventListener("click", (e) => {
@@ -103,7 +525,7 @@ syncBtn.addEventListener("click", () => {
   progressBar.className = "progress-bar-fill indeterminate";
   progressText.textContent = "Starting...";
 
-  sendMessage({ action: "sync" }, (response) => {
+  sendMessage({ action: "sync", profileId: currentProfileId }, (response) => {
     syncBtn.disabled = false;
     syncBtn.classList.remove("syncing");
     syncLabel.textContent = "Download Now";
@@ -141,7 +563,7 @@ twoWaySyncBtn.addEventListener("click", () => {
   twoWaySyncLabel.textContent = "Syncing...";
   twoWayResult.style.display = "none";
 
-  sendMessage({ action: "twoWaySync" }, (response) => {
+  sendMessage({ action: "twoWaySync", profileId: currentProfileId }, (response) => {
     twoWaySyncBtn.disabled = false;
     twoWaySyncBtn.classList.remove("syncing");
     twoWaySyncLabel.textContent = "Two-Way Sync";
@@ -157,10 +579,14 @@ twoWaySyncBtn.addEventListener("click", () => {
       if (r.added > 0) parts.push(`+${r.added} added`);
       if (r.removed > 0) parts.push(`-${r.removed} removed`);
       if (r.updated > 0) parts.push(`~${r.updated} updated`);
+      if (r.held > 0) parts.push(`${r.held} deletions held`);
       const summary = parts.length > 0 ? parts.join(", ") : "Everything in sync";
-      showTwoWayResult("success", `${summary} (${r.total} total)`);
+      // Folders left out of the sync are listed in Options
+      const skipped = r.warnings.length > 0 ? ` · ${r.warnings.length} folder(s) not synced, see Settings` : "";
+      showTwoWayResult(skipped ? "error" : "success", `${summary} (${r.total} total)${skipped}`);
       document.getElementById("twoway-last-sync").textContent =
         `Last: just now`;
+      if (r.held > 0) getProfile(currentProfileId).then(renderHeldDeletions);
     } else {
       showTwoWayResult("error", response ? response.error : "Unknown error");
     }
@@ -175,7 +601,7 @@ function showTwoWayResult(type, text) {
 
 // Listen for progress from background
 chrome.runtime.onMessage.addListener((msg) => {
-  if (msg.action === "syncProgress") {
+  if (msg.action === "syncProgress" && msg.profileId === currentProfileId) {
     progressText.textContent = msg.text;
   }
 });
@@ -201,6 +627,14 @@ function showResult(type, text) {
   resultEl.textContent = text;
 }
 
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
 function timeAgo(ts) {
   const diff = Date.now() - ts;
   const mins = Math.floor(diff / 60000);
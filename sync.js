@@ -1,41 +1,461 @@
 // Shared sync logic used by both popup.js and background.js
 
+// Global settings shared by all profiles
 const SETTINGS_DEFAULTS = {
+  autoSync: false,
+  autoSyncInterval: 60,
+  ...API_SETTINGS_DEFAULTS, // Request limits, see api.js
+};
+
+// The profile that existed before profiles were introduced. It keeps the original
+// storage keys (flat settings, "twoWayMapping", the config bookmark URL) so older
+// installs carry on without a migration.
+const DEFAULT_PROFILE_ID = "default";
+
+// Per-profile settings. A profile is one Linkding instance with its own download folder
+// and two-way pairing. Stored in chrome.storage.sync as "profile:<id>" plus an ordered
+// "profileIds" list, so each profile stays well under the 8KB per-item limit.
+const PROFILE_DEFAULTS = {
+  id: DEFAULT_PROFILE_ID,
+  name: "Default",
   url: "",
   token: "",
   folderName: "Linkding",
   parentFolderId: null,
   oneWayEnabled: true,
-  autoSync: false,
-  autoSyncInterval: 60,
-  lastSyncTime: null,
-  lastSyncCount: null,
-  lastSyncTags: null,
   twoWayEnabled: false,
-  twoWaySyncTag: "bookmark-sync",
+  twoWayPairs: null, // [{ id, folderId, tag }] — browser folders kept in sync with a Linkding tag each
+  twoWaySyncTag: "bookmark-sync", // Single folder/tag from before pairs existed, read into twoWayPairs
   twoWaySyncFolderId: null,
-  twoWayInitialSyncDone: false,
-  twoWayLastSyncTime: null,
+  twoWayConflictPolicy: "newest", // "chrome", "linkding", "newest" or "ask" (queue for the user)
+  twoWayDeletePolicy: "delete", // What deleting in Chrome does in Linkding: "delete", "archive" or "untag"
+  deletionGuardCount: 10, // Hold two-way deletions for confirmation above this many bookmarks (0 = off)
+  deletionGuardPercent: 20, // ...or above this share of a pair's tracked bookmarks (0 = off)
+  // What two-way matching ignores when comparing URLs (see normalizeUrl)
+  urlNormalization: { trailingSlash: true, scheme: true, www: true, trackingParams: true, fragment: false },
   excludedTags: "bookmark-sync", // Comma-separated list of tags to exclude from one-way sync
+  tagHierarchy: false, // Treat tagSeparator inside tag names as nested folders in the full download
+  tagSeparator: "/",
+  folderLayout: "tag", // Key of FOLDER_LAYOUTS
+  bookmarkSort: "config", // Key of BOOKMARK_SORTS
+  folderSort: "none", // Key of FOLDER_SORTS
+  smartFolders: [], // [{ name, query }] — extra one-way folders backed by a Linkding search
+  archiveFolderEnabled: false, // Download archived bookmarks into their own folder
+  archiveFolderName: "Archive",
+  unreadFolderEnabled: false, // Collect every unread bookmark into a "Read Later" folder
+  unreadFolderName: "Read Later",
 };
 
+// Per-device sync state for a profile, kept in chrome.storage.local
+const PROFILE_STATE_DEFAULTS = {
+  lastSyncTime: null,
+  lastSyncCount: null,
+  lastSyncTags: null,
+  // Bookmarks the full download keeps directly in its folder (flat layout); null before
+  // the first download that recorded them
+  downloadRootBookmarkIds: null,
+  twoWayInitialSyncDone: false, // Single folder/tag from before pairs existed, see getPairState()
+  twoWayLastSyncTime: null, // Last two-way sync of any pair
+  twoWayPairs: {}, // pairId → { initialSyncDone, lastSyncTime, pathTagsEscaped, warnings }
+};
+
+// The pair made from the single folder/tag settings used before pairs existed
+const DEFAULT_PAIR_ID = "default";
+
 async function getSettings() {
   return chrome.storage.sync.get(SETTINGS_DEFAULTS);
 }
 
-async function getOrCreateFolder(name, parentId) {
-  const children = await chrome.bookmarks.getChildren(parentId);
+// Storage key for per-profile data. The default profile uses the bare key.
+function profileStorageKey(base, profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? base : `${base}:${profileId}`;
+}
+
+// Storage key for per-pair two-way data. The default pair uses the profile's key, which
+// is where the single two-way folder kept its data before pairs existed.
+function pairStorageKey(base, profileId, pairId) {
+  const key = profileStorageKey(base, profileId);
+  return pairId === DEFAULT_PAIR_ID ? key : `${key}@${pairId}`;
+}
+
+// Short random ID for new profiles and two-way pairs
+function createId() {
+  return crypto.randomUUID().slice(0, 8);
+}
+
+// Profiles saved before pairs existed have a single twoWaySyncFolderId/twoWaySyncTag
+function withTwoWayPairs(profile) {
+  if (Array.isArray(profile.twoWayPairs)) return profile;
+  const pair = { id: DEFAULT_PAIR_ID, folderId: profile.twoWaySyncFolderId, tag: profile.twoWaySyncTag };
+  return { ...profile, twoWayPairs: [pair] };
+}
+
+function findPair(profile, pairId) {
+  const pair = profile.twoWayPairs.find((p) => p.id === pairId);
+  if (!pair) throw new Error(`Unknown two-way folder: ${pairId}`);
+  return pair;
+}
+
+async function getProfiles() {
+  const { profileIds } = await chrome.storage.sync.get({ profileIds: null });
+  if (!Array.isArray(profileIds) || profileIds.length === 0) {
+    // Settings saved before profiles existed: the flat keys are the default profile
+    const legacy = await chrome.storage.sync.get(PROFILE_DEFAULTS);
+    return [withTwoWayPairs({ ...legacy, id: DEFAULT_PROFILE_ID, name: PROFILE_DEFAULTS.name })];
+  }
+  const keys = profileIds.map((id) => `profile:${id}`);
+  const stored = await chrome.storage.sync.get(keys);
+  return profileIds
+    .filter((id) => stored[`profile:${id}`])
+    .map((id) => withTwoWayPairs({ ...PROFILE_DEFAULTS, ...stored[`profile:${id}`], id }));
+}
+
+async function getProfile(profileId) {
+  const profiles = await getProfiles();
+  const profile = profiles.find((p) => p.id === profileId);
+  if (!profile) throw new Error(`Unknown profile: ${profileId}`);
+  return profile;
+}
+
+// Two-way data kept in chrome.storage.local for each pair
+const PAIR_STORAGE_KEYS = ["twoWayMapping", "twoWayConflicts", "chromeEdits", "pendingDeletions", "recentlyRemoved", "twoWayLayout", "twoWayJournal"];
+
+// Persist the full profile list, dropping storage for profiles and two-way pairs that were removed
+async function saveProfiles(profiles) {
+  const { profileIds: oldIds } = await chrome.storage.sync.get({ profileIds: [] });
+  const oldProfiles = await getProfiles();
+  const items = { profileIds: profiles.map((p) => p.id) };
+  for (const profile of profiles) items[`profile:${profile.id}`] = profile;
+  await chrome.storage.sync.set(items);
+
+  if (!oldIds || oldIds.length === 0) {
+    // First save since profiles were introduced — the flat legacy settings are now redundant
+    await chrome.storage.sync.remove(Object.keys(PROFILE_DEFAULTS));
+  }
+
+  const removedIds = (oldIds || []).filter((id) => !items.profileIds.includes(id));
+  if (removedIds.length > 0) {
+    await chrome.storage.sync.remove(removedIds.map((id) => `profile:${id}`));
+    await chrome.storage.local.remove(removedIds.flatMap((id) => [
+      profileStorageKey("syncState", id),
+      profileStorageKey("bookmarkCache", id),
+      profileStorageKey("archivedCache", id),
+      profileStorageKey("outbox", id),
+    ]));
+  }
+
+  const removedPairKeys = [];
+  for (const old of oldProfiles) {
+    const current = profiles.find((p) => p.id === old.id);
+    for (const pair of old.twoWayPairs) {
+      if (current && current.twoWayPairs.some((p) => p.id === pair.id)) continue;
+      removedPairKeys.push(...PAIR_STORAGE_KEYS.map((base) => pairStorageKey(base, old.id, pair.id)));
+    }
+  }
+  if (removedPairKeys.length > 0) await chrome.storage.local.remove(removedPairKeys);
+}
+
+async function getProfileState(profileId) {
+  const key = profileStorageKey("syncState", profileId);
+  const { [key]: state } = await chrome.storage.local.get({ [key]: null });
+  if (state) return { ...PROFILE_STATE_DEFAULTS, ...state };
+  if (profileId === DEFAULT_PROFILE_ID) {
+    // State saved before profiles existed lived in chrome.storage.sync
+    return chrome.storage.sync.get(PROFILE_STATE_DEFAULTS);
+  }
+  return { ...PROFILE_STATE_DEFAULTS };
+}
+
+async function setProfileState(profileId, changes) {
+  const state = await getProfileState(profileId);
+  await chrome.storage.local.set({ [profileStorageKey("syncState", profileId)]: { ...state, ...changes } });
+}
+
+// Two-way state of one pair. The default pair falls back to the profile-wide fields
+// used before pairs existed.
+function getPairState(state, pairId) {
+  if (state.twoWayPairs[pairId]) return state.twoWayPairs[pairId];
+  const legacy = pairId === DEFAULT_PAIR_ID;
+  return {
+    initialSyncDone: legacy && state.twoWayInitialSyncDone,
+    lastSyncTime: legacy ? state.twoWayLastSyncTime : null,
+  };
+}
+
+async function setPairState(profileId, pairId, changes) {
+  const state = await getProfileState(profileId);
+  const pairState = { ...getPairState(state, pairId), ...changes };
+  await setProfileState(profileId, {
+    twoWayPairs: { ...state.twoWayPairs, [pairId]: pairState },
+    twoWayLastSyncTime: pairState.lastSyncTime || state.twoWayLastSyncTime,
+  });
+}
+
+// Pairs that have a folder and finished their initial sync, and so take part in regular syncs
+function readyTwoWayPairs(profile, state) {
+  return profile.twoWayPairs.filter((pair) => pair.folderId && getPairState(state, pair.id).initialSyncDone);
+}
+
+// ===================== Sync Status =====================
+
+// The background worker runs every sync as a job, one at a time (see the coordinator in
+// background.js). The lock of the running job and the queue of waiting ones are kept in
+// chrome.storage.session, where the popup and Options read them.
+const SYNC_LOCK_KEY = "syncLock";
+const SYNC_QUEUE_KEY = "syncQueue";
+
+const SYNC_JOB_LABELS = {
+  autoSync: "Auto-sync",
+  download: "Download",
+  twoWaySync: "Two-way sync",
+  initialSync: "Initial two-way sync",
+  journal: "Sending bookmark changes",
+  outbox: "Sending queued changes",
+  resolveConflict: "Resolving a conflict",
+  restoreRemoved: "Restoring a bookmark",
+  confirmDeletions: "Confirming deletions",
+  discardDeletions: "Discarding deletions",
+  undo: "Undoing a sync",
+  quickAdd: "Saving a page",
+  editBookmark: "Editing a bookmark",
+  deleteBookmark: "Deleting a bookmark",
+};
+
+// { running, queued }: the job holding the lock (null if none) and the jobs waiting, in
+// order. A lock whose lease ran out was left by a worker stopped mid-job.
+async function getSyncStatus() {
+  const { [SYNC_LOCK_KEY]: lock, [SYNC_QUEUE_KEY]: queued } =
+    await chrome.storage.session.get({ [SYNC_LOCK_KEY]: null, [SYNC_QUEUE_KEY]: [] });
+  return { running: lock && lock.expiresAt > Date.now() ? lock.job : null, queued };
+}
+
+// ===================== Sync History =====================
+
+// The last SYNC_HISTORY_LIMIT runs, newest first, for the History tab in Options:
+// { id, type, trigger, profileId, pairId, startedAt, duration, error, warnings, changes,
+// reordered, omitted }. changes are those recorded by the run's change sets (see
+// createChangeSet()) without their undo records; reorders are only counted, and past
+// SYNC_HISTORY_CHANGE_LIMIT the rest are only counted in omitted.
+const SYNC_HISTORY_KEY = "syncHistory";
+const SYNC_HISTORY_LIMIT = 100;
+const SYNC_HISTORY_CHANGE_LIMIT = 1000;
+
+async function getSyncHistory() {
+  const { [SYNC_HISTORY_KEY]: history } = await chrome.storage.local.get({ [SYNC_HISTORY_KEY]: [] });
+  return history;
+}
+
+async function addSyncHistory(run) {
+  const changes = (run.changes || []).filter((change) => change.action !== "reorder");
+  const history = await getSyncHistory();
+  history.unshift({
+    ...run,
+    changes: changes.slice(0, SYNC_HISTORY_CHANGE_LIMIT).map(({ undo, ...change }) => change),
+    reordered: (run.changes || []).length - changes.length,
+    omitted: Math.max(0, changes.length - SYNC_HISTORY_CHANGE_LIMIT),
+  });
+  await chrome.storage.local.set({ [SYNC_HISTORY_KEY]: history.slice(0, SYNC_HISTORY_LIMIT) });
+}
+
+// ===================== Undo =====================
+
+// A snapshot of the last run that changed something, for undoLastSync(): { run, keys,
+// data, changes }, with the run's changes and their undo records, and the profile's sync
+// state and two-way data (keys, with data holding those that were set) from before it
+// ran. A replay of changes made in the browser drops the profile's snapshot, as undoing
+// the run before it would overwrite them.
+const SYNC_SNAPSHOT_KEY = "syncSnapshot";
+
+// Stored data undoLastSync() puts back. The folder layout isn't: the config bookmark
+// keeps the layout the run saved, so the next sync takes the restored browser folder
+// as the rearranged side and saves its layout.
+function snapshotStorageKeys(profile) {
+  return [
+    profileStorageKey("syncState", profile.id),
+    ...profile.twoWayPairs.flatMap((pair) => PAIR_STORAGE_KEYS
+      .filter((base) => base !== "twoWayLayout")
+      .map((base) => pairStorageKey(base, profile.id, pair.id))),
+  ];
+}
+
+// The profile's stored data, read before a run
+async function readSnapshotData(profileId) {
+  const keys = snapshotStorageKeys(await getProfile(profileId));
+  return { keys, data: await chrome.storage.local.get(keys) };
+}
+
+async function getSyncSnapshot() {
+  const { [SYNC_SNAPSHOT_KEY]: snapshot } = await chrome.storage.local.get({ [SYNC_SNAPSHOT_KEY]: null });
+  return snapshot;
+}
+
+async function saveSyncSnapshot(run, { keys, data }, changes) {
+  await chrome.storage.local.set({ [SYNC_SNAPSHOT_KEY]: { run, keys, data, changes: changes.filter((change) => change.undo) } });
+}
+
+async function clearSyncSnapshot(profileId) {
+  const snapshot = await getSyncSnapshot();
+  if (snapshot && snapshot.run.profileId === profileId) await chrome.storage.local.remove(SYNC_SNAPSHOT_KEY);
+}
+
+// Reverse the run the snapshot was taken for (runId, from its history entry). Linkding
+// goes first, as the side that can fail halfway; its restores can be repeated. Then the
+// browser, then the stored data, with the IDs of bookmarks recreated on either side.
+async function undoLastSync(profileId, runId, onProgress) {
+  const log = onProgress || (() => { });
+  const snapshot = await getSyncSnapshot();
+  if (!snapshot || snapshot.run.id !== runId) throw new Error("That sync can no longer be undone.");
+  const profile = await getProfile(profileId);
+  const { url: baseUrl, token } = profile;
+  if (!baseUrl || !token) throw new Error("Missing URL or API token.");
+  if ((await getOutbox(profileId)).items.length > 0) {
+    throw new Error("Changes are still waiting to be sent to Linkding. Undo once they are sent.");
+  }
+
+  const changeSet = createChangeSet();
+  const linkdingIds = new Map(); // ID of a deleted Linkding bookmark → ID it was recreated with
+  const chromeIds = new Map(); // Same for browser bookmarks and folders
+  const reversed = [...snapshot.changes].reverse();
+
+  log("syncing", "Restoring Linkding bookmarks...");
+  for (const change of reversed.filter((c) => c.target === "linkding")) {
+    try {
+      await undoLinkdingChange(change, changeSet, baseUrl, token, linkdingIds);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      // Deleted in Linkding since
+    }
+  }
+  log("syncing", "Restoring browser bookmarks...");
+  for (const change of reversed.filter((c) => c.target === "chrome")) {
+    try {
+      await undoChromeChange(change, changeSet.bookmarks, chromeIds);
+    } catch (err) {
+      // Changed since; the next sync compares whatever is there
+      console.warn("[Linkding] Could not undo browser change", change, err);
+    }
+  }
+
+  log("saving", "Restoring the sync mapping...");
+  await restoreSnapshotData(profile, snapshot, chromeIds, linkdingIds);
+  await chrome.storage.local.remove(SYNC_SNAPSHOT_KEY);
+  return { restored: snapshot.changes.length, changes: changeSet.changes };
+}
+
+async function undoLinkdingChange(change, changeSet, baseUrl, token, linkdingIds) {
+  const { id, before } = change.undo;
+  if (change.action === "create") {
+    await changeSet.linkding("remove", { url: change.url, title: change.title }, () =>
+      deleteLinkdingBookmark(baseUrl, token, linkdingIds.get(id) || id));
+    return;
+  }
+  const { url, title, description, notes, tag_names: tagNames, unread, shared } = before;
+  if (change.action === "remove") {
+    // Saving a URL Linkding already has updates that bookmark, so a repeat is harmless
+    const created = await changeSet.linkding("create", { url, title, tags: tagNames }, () =>
+      createLinkdingBookmark(baseUrl, token, { url, title, description, notes, tagNames, unread, shared }));
+    linkdingIds.set(before.id, created.id);
+    if (before.is_archived) await setLinkdingArchived(baseUrl, token, created.id, true);
+    return;
+  }
+  await changeSet.linkding("update", { url, title, tags: tagNames }, () =>
+    updateLinkdingBookmark(baseUrl, token, before.id, { url, title, description, notes, tag_names: tagNames, unread, shared }));
+  if (change.action === "archive" || change.action === "unarchive") {
+    await setLinkdingArchived(baseUrl, token, before.id, before.is_archived);
+  }
+}
+
+async function undoChromeChange(change, bookmarks, chromeIds) {
+  const idOf = (id) => chromeIds.get(id) || id;
+  const { undo } = change;
+  if (change.action === "create") {
+    await (change.url ? bookmarks.remove(idOf(undo.id)) : bookmarks.removeTree(idOf(undo.id)));
+  } else if (change.action === "update") {
+    await bookmarks.update(idOf(undo.id), { title: change.oldTitle, url: change.oldUrl });
+  } else if (change.action === "remove") {
+    await recreateBookmarkTree(undo.node, idOf(undo.node.parentId), bookmarks, chromeIds);
+  } else {
+    // Moved or reordered
+    const parentId = idOf(undo.parentId);
+    await bookmarks.move(idOf(undo.id), { parentId, index: await clampedIndex(parentId, undo.index, bookmarks) });
+  }
+}
+
+async function recreateBookmarkTree(node, parentId, bookmarks, chromeIds) {
+  const index = await clampedIndex(parentId, node.index, bookmarks);
+  const created = await bookmarks.create({ parentId, index, title: node.title, url: node.url });
+  chromeIds.set(node.id, created.id);
+  for (const child of node.children || []) {
+    await recreateBookmarkTree(child, created.id, bookmarks, chromeIds);
+  }
+}
+
+// Chrome rejects an index past the end, which siblings removed since can leave
+async function clampedIndex(parentId, index, bookmarks) {
+  return Math.min(index, (await bookmarks.getChildren(parentId)).length);
+}
+
+async function restoreSnapshotData(profile, { keys, data }, chromeIds, linkdingIds) {
+  await chrome.storage.local.remove(keys.filter((key) => !(key in data)));
+  await chrome.storage.local.set(data);
+
+  const chromeIdOf = (id) => chromeIds.get(id) || id;
+  const { downloadRootBookmarkIds } = await getProfileState(profile.id);
+  if (downloadRootBookmarkIds) {
+    await setProfileState(profile.id, { downloadRootBookmarkIds: downloadRootBookmarkIds.map(chromeIdOf) });
+  }
+  for (const pair of profile.twoWayPairs) {
+    if (!(pairStorageKey("twoWayMapping", profile.id, pair.id) in data)) continue;
+    const mapping = {};
+    for (const entry of Object.values(await getMapping(profile.id, pair.id))) {
+      const linkdingId = linkdingIds.get(entry.linkdingId) || entry.linkdingId;
+      mapping[linkdingId] = { ...entry, linkdingId, chromeIds: entry.chromeIds.map(chromeIdOf) };
+    }
+    await setMapping(profile.id, pair.id, mapping);
+    const edits = {};
+    for (const [id, time] of Object.entries(await getChromeEdits(profile.id, pair.id))) edits[chromeIdOf(id)] = time;
+    const journal = (await getJournal(profile.id, pair.id)).map((op) => ({ ...op, chromeId: chromeIdOf(op.chromeId) }));
+    await chrome.storage.local.set({
+      [pairStorageKey("chromeEdits", profile.id, pair.id)]: edits,
+      [pairStorageKey("twoWayJournal", profile.id, pair.id)]: journal,
+    });
+  }
+  // Linkding changed under the cached lists; the next sync fetches them in full
+  await chrome.storage.local.remove(Object.values(BOOKMARK_LISTS).map(({ cacheKey }) => profileStorageKey(cacheKey, profile.id)));
+}
+
+// "Two-way sync (bookmark-sync) • Personal", naming the profile when there are several
+function describeSyncJob(job, profiles) {
+  let text = SYNC_JOB_LABELS[job.type] || job.type;
+  if (job.params && job.params.dryRun) text += " preview";
+  const profile = profiles.find((p) => p.id === job.profileId);
+  const pair = profile && job.pairId && profile.twoWayPairs.find((p) => p.id === job.pairId);
+  if (pair && pair.tag) text += ` (${pair.tag})`;
+  if (profile && profiles.length > 1) text += ` \u2022 ${profile.name}`;
+  return text;
+}
+
+// One line for the status, e.g. "Running: Download • 2 queued", or "" when idle
+function syncStatusText({ running, queued }, profiles) {
+  const parts = [];
+  if (running) parts.push(`Running: ${describeSyncJob(running, profiles)}`);
+  if (queued.length > 0) parts.push(`${queued.length} queued`);
+  return parts.join(" \u2022 ");
+}
+
+async function getOrCreateFolder(name, parentId, bookmarks = chrome.bookmarks) {
+  const children = await bookmarks.getChildren(parentId);
   const existing = children.find((n) => !n.url && n.title === name);
   if (existing) return existing.id;
-  const created = await chrome.bookmarks.create({ parentId, title: name });
+  const created = await bookmarks.create({ parentId, title: name });
   return created.id;
 }
 
-async function fetchAllBookmarks(baseUrl, token) {
+// Follow Linkding's paginated "next" links and collect every result
+async function fetchAllPages(url, token) {
   const all = [];
-  let url = `${baseUrl}/api/bookmarks/?limit=100`;
   while (url) {
-    const resp = await fetch(url, {
+    const resp = await apiFetch(url, {
       headers: { Authorization: `Token ${token}` },
     });
     if (!resp.ok) {
@@ -49,25 +469,434 @@ async function fetchAllBookmarks(baseUrl, token) {
   return all;
 }
 
-async function removeChildrenOf(folderId) {
-  const children = await chrome.bookmarks.getChildren(folderId);
+// Fetch every bookmark matching a Linkding search query (same syntax as the web UI,
+// e.g. "#work !unread" or "github.com")
+async function fetchBookmarksByQuery(baseUrl, token, query) {
+  return fetchAllPages(`${baseUrl}/api/bookmarks/?q=${encodeURIComponent(query)}&limit=100`, token);
+}
+
+// Names of every tag on the instance
+async function fetchLinkdingTags(baseUrl, token) {
+  const tags = await fetchAllPages(`${baseUrl}/api/tags/?limit=1000`, token);
+  return tags.map((tag) => tag.name);
+}
+
+// Keep only bookmarks that actually carry the exact tag (search matches prefixes too)
+function filterByTag(bookmarks, tag) {
+  return bookmarks.filter((bm) => bm.tag_names && bm.tag_names.includes(tag));
+}
+
+// ===================== Bookmark Cache =====================
+
+// The last fetched bookmark list is cached per profile in chrome.storage.local, so
+// regular syncs only request bookmarks modified since the newest one we have. Deletions
+// (and archiving) don't show up in a delta, so the merged list is checked against the
+// list's total count and refetched in full when it holds more; a full fetch also runs daily.
+const FULL_RECONCILE_INTERVAL = 24 * 60 * 60 * 1000;
+
+// Cached lists: regular bookmarks and the separate archived endpoint
+const BOOKMARK_LISTS = {
+  bookmarks: { path: "/api/bookmarks/", cacheKey: "bookmarkCache" },
+  archived: { path: "/api/bookmarks/archived/", cacheKey: "archivedCache" },
+};
+
+function latestModified(bookmarks) {
+  let latest = null;
+  for (const bm of bookmarks) {
+    if (bm.date_modified && (!latest || new Date(bm.date_modified) > new Date(latest))) {
+      latest = bm.date_modified;
+    }
+  }
+  return latest;
+}
+
+async function saveBookmarkCache(key, baseUrl, bookmarks, lastFullFetch) {
+  // Match the API's default order (newest first) so merged deltas look like a full fetch
+  bookmarks.sort((a, b) => new Date(b.date_added) - new Date(a.date_added));
+  await chrome.storage.local.set({
+    [key]: {
+      baseUrl,
+      bookmarks,
+      watermark: latestModified(bookmarks),
+      lastFullFetch,
+    },
+  });
+}
+
+// Return the profile's full bookmark list, fetching only what changed when possible.
+// Pass { full: true } to force a complete refetch, { list: "archived" } for archived bookmarks.
+// With dryRun, the list is fetched the same way but the cache is left as it was.
+async function getCachedBookmarks(profileId, baseUrl, token, { full = false, list = "bookmarks", dryRun = false } = {}) {
+  const { path, cacheKey } = BOOKMARK_LISTS[list];
+  const key = profileStorageKey(cacheKey, profileId);
+  const { [key]: cache } = await chrome.storage.local.get({ [key]: null });
+  const usable = cache && cache.baseUrl === baseUrl && cache.watermark &&
+    Date.now() - cache.lastFullFetch < FULL_RECONCILE_INTERVAL;
+
+  if (!full && usable) {
+    // Counted before the delta, so a bookmark saved in between can only cause an extra full fetch
+    const total = await fetchBookmarkCount(baseUrl, token, path);
+    // Step back a second so bookmarks saved in the same instant as the watermark aren't missed
+    const since = new Date(new Date(cache.watermark).getTime() - 1000);
+    const changed = await fetchAllPages(
+      `${baseUrl}${path}?modified_since=${encodeURIComponent(since.toISOString())}&limit=100`,
+      token
+    );
+
+    // Servers without the modified_since filter ignore it and return everything,
+    // which is as good as a full fetch
+    const filtered = changed.every((bm) => new Date(bm.date_modified) >= since);
+    if (!filtered) {
+      if (!dryRun) await saveBookmarkCache(key, baseUrl, changed, Date.now());
+      return changed;
+    }
+    const byId = new Map(cache.bookmarks.map((bm) => [bm.id, bm]));
+    for (const bm of changed) byId.set(bm.id, bm);
+    const bookmarks = [...byId.values()];
+    // Every bookmark in the list is either cached or in the delta, so more than the
+    // server counts means some were deleted or moved to the other list since
+    if (bookmarks.length <= total) {
+      if (!dryRun) await saveBookmarkCache(key, baseUrl, bookmarks, cache.lastFullFetch);
+      return bookmarks;
+    }
+  }
+
+  const bookmarks = await fetchAllPages(`${baseUrl}${path}?limit=100`, token);
+  if (!dryRun) await saveBookmarkCache(key, baseUrl, bookmarks, Date.now());
+  return bookmarks;
+}
+
+// Number of bookmarks in a list, from the count of a one-item page
+async function fetchBookmarkCount(baseUrl, token, path) {
+  const resp = await apiFetch(`${baseUrl}${path}?limit=1`, {
+    headers: { Authorization: `Token ${token}` },
+  });
+  if (!resp.ok) throw await requestError("Fetch failed", resp);
+  return (await resp.json()).count;
+}
+
+// Drop bookmarks we deleted ourselves, since a delta fetch can't report them
+async function removeCachedBookmarks(profileId, ids) {
+  if (ids.length === 0) return;
+  const key = profileStorageKey("bookmarkCache", profileId);
+  const { [key]: cache } = await chrome.storage.local.get({ [key]: null });
+  if (!cache) return;
+  const removed = new Set(ids);
+  cache.bookmarks = cache.bookmarks.filter((bm) => !removed.has(bm.id));
+  await chrome.storage.local.set({ [key]: cache });
+}
+
+// Add or replace a bookmark we changed ourselves, for changes a delta fetch might not report
+async function updateCachedBookmark(profileId, bookmark) {
+  const key = profileStorageKey("bookmarkCache", profileId);
+  const { [key]: cache } = await chrome.storage.local.get({ [key]: null });
+  if (!cache) return;
+  cache.bookmarks = [bookmark, ...cache.bookmarks.filter((bm) => bm.id !== bookmark.id)];
+  await chrome.storage.local.set({ [key]: cache });
+}
+
+// ===================== Change Sets =====================
+
+// Every write a sync makes goes through a change set, which records it and, unless it
+// is a dry run, performs it. A dry run applies bookmark changes to an in-memory copy
+// instead, so later steps see earlier ones and the recorded changes are the full plan.
+// Each change is { target: "chrome" | "linkding", action, title, url, folder, ... }.
+// Outside a dry run, each also gets undo: what undoLastSync() needs to reverse it, taken
+// just before the write (the removed subtree, the old position, Linkding's full JSON).
+function createChangeSet({ dryRun = false } = {}) {
+  const api = dryRun ? createBookmarkOverlay() : createMarkedBookmarks();
+  const changes = [];
+  const folderPaths = new Map(); // folder id → "Bookmarks bar/Linkding/dev"
+
+  async function pathOf(folderId) {
+    if (!folderPaths.has(folderId)) {
+      const [node] = await api.get(folderId);
+      const parentPath = node.parentId ? await pathOf(node.parentId) : "";
+      folderPaths.set(folderId, [parentPath, node.title].filter(Boolean).join("/"));
+    }
+    return folderPaths.get(folderId);
+  }
+
+  const bookmarks = {
+    get: (id) => api.get(id),
+    getChildren: (id) => api.getChildren(id),
+
+    async create(details) {
+      const change = {
+        target: "chrome",
+        action: "create",
+        folder: await pathOf(details.parentId),
+        title: details.title,
+        url: details.url,
+      };
+      changes.push(change);
+      const node = await api.create(details);
+      if (!dryRun) change.undo = { id: node.id };
+      return node;
+    },
+
+    async update(id, { title, url }) {
+      const [node] = await api.get(id);
+      changes.push({
+        target: "chrome",
+        action: "update",
+        folder: await pathOf(node.parentId),
+        title: title === undefined ? node.title : title,
+        oldTitle: node.title,
+        url: url === undefined ? node.url : url,
+        oldUrl: node.url,
+        undo: dryRun ? undefined : { id },
+      });
+      return api.update(id, url === undefined ? { title } : { title, url });
+    },
+
+    async move(id, destination) {
+      const [node] = await api.get(id);
+      const parentId = destination.parentId || node.parentId;
+      const change = { target: "chrome", folder: await pathOf(parentId), title: node.title, url: node.url };
+      if (parentId === node.parentId) {
+        change.action = "reorder";
+      } else {
+        change.action = "move";
+        change.fromFolder = await pathOf(node.parentId);
+      }
+      if (!dryRun) change.undo = { id, parentId: node.parentId, index: node.index };
+      changes.push(change);
+      return api.move(id, destination);
+    },
+
+    async remove(id) {
+      const [node] = await api.get(id);
+      changes.push({
+        target: "chrome",
+        action: "remove",
+        folder: await pathOf(node.parentId),
+        title: node.title,
+        url: node.url,
+        undo: dryRun ? undefined : { node },
+      });
+      return api.remove(id);
+    },
+
+    async removeTree(id) {
+      const [node] = dryRun ? await api.get(id) : await api.getSubTree(id);
+      changes.push({
+        target: "chrome",
+        action: "remove",
+        folder: await pathOf(node.parentId),
+        title: node.title,
+        undo: dryRun ? undefined : { node },
+      });
+      folderPaths.clear();
+      return api.removeTree(id);
+    },
+  };
+
+  // Record a Linkding write. before is the bookmark as Linkding has it, for writes to an
+  // existing one. In a dry run, perform is skipped and a stand-in for the API response
+  // (with a placeholder ID) is returned so callers can carry on.
+  async function linkding(action, { url, title, tags, oldUrl, before }, perform) {
+    const change = { target: "linkding", action, title, url, oldUrl, tags };
+    changes.push(change);
+    if (dryRun) return { id: `planned-${changes.length}`, url, title, tag_names: tags || [] };
+    let result;
+    try {
+      result = await perform();
+    } catch (err) {
+      // A write that failed didn't happen
+      changes.splice(changes.indexOf(change), 1);
+      throw err;
+    }
+    change.undo = action === "create" ? { id: result.id } : { before };
+    return result;
+  }
+
+  return { dryRun, changes, bookmarks, linkding };
+}
+
+// Bookmark events a sync's own writes are about to cause, so the bookmark listeners in
+// background.js can tell them from the user's: "event key" → the times the marks run out,
+// one per write. Each event uses up one mark (takeSyncWrite()), so a user edit to the same
+// bookmark right after is still recorded. The key is the bookmark ID, or for a create,
+// whose event can arrive before its ID is known, its parent, title and URL
+// (createWriteKey()). A write Chrome sends no event for (e.g. a title set to what it was)
+// leaves a mark that runs out after a few seconds. Marks are only kept in memory, so the
+// events of writes made just before the worker restarts are recorded as the user's, which
+// does no harm: a journal replay only sends what differs from the mapping.
+const SYNC_WRITE_MARK_MS = 10 * 1000;
+const syncWriteMarks = new Map();
+
+function markSyncWrite(event, key) {
+  const now = Date.now();
+  if (syncWriteMarks.size > 1000) {
+    for (const [k, times] of syncWriteMarks) if (times[times.length - 1] <= now) syncWriteMarks.delete(k);
+  }
+  const markKey = `${event} ${key}`;
+  syncWriteMarks.set(markKey, [...(syncWriteMarks.get(markKey) || []), now + SYNC_WRITE_MARK_MS]);
+}
+
+function createWriteKey({ parentId, title, url }) {
+  return JSON.stringify([parentId, title || "", url || null]);
+}
+
+// Whether a bookmark event ("created", "changed", "moved" or "removed") comes from a
+// sync's write, using up its mark if so
+function takeSyncWrite(event, key) {
+  const markKey = `${event} ${key}`;
+  const times = (syncWriteMarks.get(markKey) || []).filter((until) => until > Date.now());
+  const taken = times.shift() !== undefined;
+  if (times.length > 0) syncWriteMarks.set(markKey, times);
+  else syncWriteMarks.delete(markKey);
+  return taken;
+}
+
+// chrome.bookmarks for change sets, marking each write with markSyncWrite()
+function createMarkedBookmarks() {
+  const api = chrome.bookmarks;
+  // A write that fails sends no event, so its mark is taken back
+  async function marked(event, key, write) {
+    markSyncWrite(event, key);
+    try {
+      return await write();
+    } catch (err) {
+      takeSyncWrite(event, key);
+      throw err;
+    }
+  }
+
+  return {
+    get: (id) => api.get(id),
+    getChildren: (id) => api.getChildren(id),
+    getSubTree: (id) => api.getSubTree(id),
+    create: (details) => marked("created", createWriteKey(details), () => api.create(details)),
+    update: (id, changes) => marked("changed", id, () => api.update(id, changes)),
+    move: (id, destination) => marked("moved", id, () => api.move(id, destination)),
+    remove: (id) => marked("removed", id, () => api.remove(id)),
+    removeTree: (id) => marked("removed", id, () => api.removeTree(id)),
+  };
+}
+
+// In-memory stand-in for chrome.bookmarks used by dry runs. Nodes are read from Chrome
+// the first time they're needed and from then on only change in memory.
+function createBookmarkOverlay() {
+  const nodes = new Map(); // id → { id, parentId, title, url, dateAdded }
+  const children = new Map(); // folder id → child ids, once read
+  const removed = new Set();
+  let nextId = 1;
+
+  function remember(node) {
+    if (!nodes.has(node.id)) {
+      const { id, parentId, title, url, dateAdded } = node;
+      nodes.set(id, { id, parentId, title, url, dateAdded });
+    }
+    return nodes.get(node.id);
+  }
+
+  async function getNode(id) {
+    if (removed.has(id)) throw new Error("Can't find bookmark for id.");
+    if (nodes.has(id)) return nodes.get(id);
+    const [node] = await chrome.bookmarks.get(id);
+    return remember(node);
+  }
+
+  async function getChildIds(id) {
+    if (!children.has(id)) {
+      const list = await chrome.bookmarks.getChildren(id);
+      // Skip nodes already removed or moved elsewhere in memory
+      const ids = list.filter((c) => !removed.has(c.id)).map(remember).filter((n) => n.parentId === id).map((n) => n.id);
+      children.set(id, ids);
+    }
+    return children.get(id);
+  }
+
+  function detach(node, ids) {
+    const index = ids.indexOf(node.id);
+    ids.splice(index, 1);
+    return index;
+  }
+
+  function forget(id) {
+    for (const childId of children.get(id) || []) forget(childId);
+    nodes.delete(id);
+    children.delete(id);
+    removed.add(id);
+  }
+
+  return {
+    async get(id) {
+      return [{ ...(await getNode(id)) }];
+    },
+
+    async getChildren(id) {
+      const ids = await getChildIds(id);
+      return ids.map((childId) => ({ ...nodes.get(childId) }));
+    },
+
+    async create({ parentId, title, url, index }) {
+      const ids = await getChildIds(parentId);
+      const node = { id: `planned-${nextId++}`, parentId, title: title || "", url, dateAdded: Date.now() };
+      nodes.set(node.id, node);
+      if (!url) children.set(node.id, []);
+      ids.splice(index == null ? ids.length : index, 0, node.id);
+      return { ...node };
+    },
+
+    async update(id, { title, url }) {
+      const node = await getNode(id);
+      if (title !== undefined) node.title = title;
+      if (url !== undefined) node.url = url;
+      return { ...node };
+    },
+
+    async move(id, { parentId, index }) {
+      const node = await getNode(id);
+      const oldIds = await getChildIds(node.parentId);
+      const newIds = await getChildIds(parentId || node.parentId);
+      const oldIndex = detach(node, oldIds);
+      // Like Chrome, an index within the same parent counts positions before the move
+      let newIndex = index == null ? newIds.length : index;
+      if (newIds === oldIds && newIndex > oldIndex) newIndex--;
+      newIds.splice(Math.min(newIndex, newIds.length), 0, id);
+      node.parentId = parentId || node.parentId;
+      return { ...node };
+    },
+
+    async remove(id) {
+      const node = await getNode(id);
+      detach(node, await getChildIds(node.parentId));
+      forget(id);
+    },
+
+    async removeTree(id) {
+      const node = await getNode(id);
+      detach(node, await getChildIds(node.parentId));
+      forget(id);
+    },
+  };
+}
+
+async function removeChildrenOf(folderId, bookmarks = chrome.bookmarks) {
+  const children = await bookmarks.getChildren(folderId);
   for (const child of children) {
     if (child.url) {
-      await chrome.bookmarks.remove(child.id);
+      await bookmarks.remove(child.id);
     } else {
-      await chrome.bookmarks.removeTree(child.id);
+      await bookmarks.removeTree(child.id);
     }
   }
 }
 
-// Process items serially with a delay between each to avoid rate limits
-async function processSerial(items, fn, delayMs = 1000) {
-  for (let i = 0; i < items.length; i++) {
-    await fn(items[i], i);
-    if (delayMs > 0 && i < items.length - 1) {
-      await new Promise(r => setTimeout(r, delayMs));
+// Run fn over items with up to limit calls at a time. Requests are paced by the API
+// client, so this only bounds how many wait on it at once.
+async function processConcurrently(items, fn, limit) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      await fn(items[i], i);
     }
-  }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
 }
 
 // Config Bookmark Helpers
@@ -75,16 +904,25 @@ const CONFIG_TITLE = "Linkding Sync Config";
 
 const CONFIG_URL = "http://example.com/?linkding-sync-config";
 
-async function fetchConfig(baseUrl, token) {
+// Each profile and two-way pair gets its own config bookmark, so they don't collide on
+// the same instance
+function configUrlFor(profileId, pairId = DEFAULT_PAIR_ID) {
+  let url = CONFIG_URL;
+  if (profileId !== DEFAULT_PROFILE_ID) url += `&profile=${encodeURIComponent(profileId)}`;
+  if (pairId !== DEFAULT_PAIR_ID) url += `&pair=${encodeURIComponent(pairId)}`;
+  return url;
+}
+
+async function fetchConfig(baseUrl, token, configUrl = CONFIG_URL) {
   // Search for the config bookmark by its unique URL
-  const searchUrl = `${baseUrl.replace(/\/$/, "")}/api/bookmarks/?q=${encodeURIComponent(CONFIG_URL)}&limit=5`;
+  const searchUrl = `${baseUrl.replace(/\/$/, "")}/api/bookmarks/?q=${encodeURIComponent(configUrl)}&limit=5`;
   try {
-    const response = await fetch(searchUrl, {
+    const response = await apiFetch(searchUrl, {
       headers: { Authorization: `Token ${token}` },
     });
     if (!response.ok) return null;
     const data = await response.json();
-    const configBm = data.results.find(bm => bm.url === CONFIG_URL);
+    const configBm = data.results.find(bm => bm.url === configUrl);
     if (!configBm) return null;
 
     try {
@@ -98,7 +936,7 @@ async function fetchConfig(baseUrl, token) {
   }
 }
 
-async function saveConfig(baseUrl, token, orderData, existingId = null) {
+async function saveConfig(baseUrl, token, orderData, existingId = null, configUrl = CONFIG_URL) {
   const notes = JSON.stringify(orderData);
 
   if (existingId) {
@@ -113,7 +951,7 @@ async function saveConfig(baseUrl, token, orderData, existingId = null) {
     // Use a very simple URL to avoid validation errors
     try {
       await createLinkdingBookmark(baseUrl, token, {
-        url: CONFIG_URL,
+        url: configUrl,
         title: CONFIG_TITLE,
         notes,
         tagNames: ["bookmark-sync-config"],
@@ -125,10 +963,222 @@ async function saveConfig(baseUrl, token, orderData, existingId = null) {
   }
 }
 
-async function runSync(onProgress) {
+// ===================== One-Way Folder Tree =====================
+
+// Split a tag into folder path segments. With a separator (tag hierarchy enabled),
+// "dev/js" becomes ["dev", "js"]; without one every tag is a single flat folder.
+function tagToFolderPath(tag, separator) {
+  if (!separator) return [tag];
+  const parts = tag.split(separator).map((p) => p.trim()).filter((p) => p.length > 0);
+  return parts.length > 0 ? parts : [tag];
+}
+
+// A folder in the desired one-way tree: bookmarks (url → Linkding bookmark) plus named subfolders
+function createFolderNode() {
+  return { bookmarks: new Map(), folders: new Map() };
+}
+
+// Walk down from root along path, creating missing nodes. Returns the deepest node.
+function getFolderNode(root, path) {
+  let node = root;
+  for (const name of path) {
+    if (!node.folders.has(name)) node.folders.set(name, createFolderNode());
+    node = node.folders.get(name);
+  }
+  return node;
+}
+
+// Read a browser folder recursively into the same shape as the desired tree.
+// Bookmarks map url → { id, title }; subfolders keep their IDs for in-place updates.
+async function readFolderTree(folderId, bookmarks = chrome.bookmarks) {
+  const node = { id: folderId, bookmarks: new Map(), folders: new Map() };
+  const children = await bookmarks.getChildren(folderId);
+  for (const child of children) {
+    if (child.url) {
+      node.bookmarks.set(child.url, { id: child.id, title: child.title });
+    } else {
+      node.folders.set(child.title, await readFolderTree(child.id, bookmarks));
+    }
+  }
+  return node;
+}
+
+function countTreeBookmarks(node) {
+  let count = node.bookmarks.size;
+  for (const child of node.folders.values()) count += countTreeBookmarks(child);
+  return count;
+}
+
+// Collect what has to leave its current place: bookmarks no longer wanted in a folder go
+// into the URL-keyed pool, and folders missing from the desired tree are queued for removal.
+// A null desired node means the whole existing folder is going away.
+function collectRemovals(desired, existing, pool, obsoleteFolders) {
+  for (const [url, bm] of existing.bookmarks) {
+    if (!desired || !desired.bookmarks.has(url)) {
+      if (!pool.has(url)) pool.set(url, []);
+      pool.get(url).push(bm);
+    }
+  }
+  for (const [name, folder] of existing.folders) {
+    const desiredChild = desired ? desired.folders.get(name) : null;
+    // Only the topmost obsolete folder needs removing; its subtree goes with it
+    if (desired && !desiredChild) obsoleteFolders.push(folder);
+    collectRemovals(desiredChild || null, folder, pool, obsoleteFolders);
+  }
+}
+
+// Create, retitle and move bookmarks so each folder matches its desired node, then put
+// the folder's children in the desired order: subfolders first, then bookmarks. Returns
+// the IDs of the folder's bookmarks.
+async function applyFolderTree(folderId, desired, existing, ctx) {
+  const bookmarkIds = [];
+  for (const [url, bm] of desired.bookmarks) {
+    const title = bm.title || bm.url;
+    const existingBm = existing.bookmarks.get(url);
+    if (existingBm) {
+      if (existingBm.title !== title) {
+        await ctx.bookmarks.update(existingBm.id, { title });
+        ctx.counts.updated++;
+      }
+      bookmarkIds.push(existingBm.id);
+    } else if (ctx.pool.has(url) && ctx.pool.get(url).length > 0) {
+      // Same bookmark, new folder — move it instead of recreating
+      const moved = ctx.pool.get(url).pop();
+      await ctx.bookmarks.move(moved.id, { parentId: folderId });
+      if (moved.title !== title) await ctx.bookmarks.update(moved.id, { title });
+      ctx.counts.moved++;
+      bookmarkIds.push(moved.id);
+    } else {
+      const created = await ctx.bookmarks.create({ parentId: folderId, title, url });
+      ctx.counts.created++;
+      bookmarkIds.push(created.id);
+    }
+  }
+
+  // Recurse into subfolders, creating new ones as needed
+  const folderIds = [];
+  for (const [name, child] of desired.folders) {
+    const existingChild = existing.folders.get(name);
+    if (existingChild) {
+      folderIds.push(existingChild.id);
+      await applyFolderTree(existingChild.id, child, existingChild, ctx);
+    } else {
+      const created = await ctx.bookmarks.create({ parentId: folderId, title: name });
+      folderIds.push(created.id);
+      await applyFolderTree(created.id, child, createFolderNode(), ctx);
+    }
+  }
+
+  await orderChildren(folderId, ctx.sortFolders ? folderIds : null, bookmarkIds, ctx.bookmarks);
+  return bookmarkIds;
+}
+
+// Move a folder's children so they start with folderIds then bookmarkIds, in that order.
+// With folderIds null, subfolders keep their current relative order. Anything else
+// (e.g. bookmarks about to be removed) ends up after them.
+async function orderChildren(folderId, folderIds, bookmarkIds, bookmarks) {
+  const children = await bookmarks.getChildren(folderId);
+  const current = children.map((c) => c.id);
+  if (!folderIds) {
+    folderIds = children.filter((c) => !c.url).map((c) => c.id);
+  }
+  const orderedIds = [...folderIds, ...bookmarkIds];
+  for (let i = 0; i < orderedIds.length; i++) {
+    if (current[i] === orderedIds[i]) continue;
+    // The wanted child is always further down, so index i is stable for Chrome's move
+    await bookmarks.move(orderedIds[i], { parentId: folderId, index: i });
+    current.splice(current.indexOf(orderedIds[i]), 1);
+    current.splice(i, 0, orderedIds[i]);
+  }
+}
+
+// Bring the download folder in line with the desired tree. Bookmarks that only change
+// folder (e.g. after switching layouts) are moved rather than deleted and recreated,
+// and folders missing from the desired tree are removed once emptied, so parents whose
+// only content was a removed tag disappear along with it. Returns the IDs of the
+// bookmarks left directly in the root folder.
+async function syncFolderTree(rootFolderId, desired, existing, counts, { sortFolders, bookmarks }) {
+  const pool = new Map(); // url → [{ id, title }] of bookmarks leaving their folder
+  const obsoleteFolders = [];
+  collectRemovals(desired, existing, pool, obsoleteFolders);
+
+  const rootBookmarkIds = await applyFolderTree(rootFolderId, desired, existing, { pool, counts, sortFolders, bookmarks });
+
+  // Whatever is left in the pool was not wanted anywhere
+  for (const leftovers of pool.values()) {
+    for (const bm of leftovers) {
+      await bookmarks.remove(bm.id);
+      counts.removed++;
+    }
+  }
+  for (const folder of obsoleteFolders) {
+    await bookmarks.removeTree(folder.id);
+  }
+  return rootBookmarkIds;
+}
+
+// Orderings for bookmarks inside downloaded folders. "config" follows the order saved
+// by two-way sync in the config bookmark; bookmarks not listed there keep API order.
+const BOOKMARK_SORTS = {
+  config: (a, b, ctx) => ctx.configRank(a) - ctx.configRank(b),
+  title: (a, b) => (a.title || a.url).localeCompare(b.title || b.url, undefined, { sensitivity: "base" }),
+  added: (a, b) => new Date(b.date_added) - new Date(a.date_added),
+  modified: (a, b) => new Date(b.date_modified) - new Date(a.date_modified),
+};
+
+// Orderings for subfolders. "none" leaves folders wherever they already are.
+const FOLDER_SORTS = {
+  none: null,
+  title: ([a], [b]) => a.localeCompare(b, undefined, { sensitivity: "base" }),
+  count: ([, a], [, b]) => countTreeBookmarks(b) - countTreeBookmarks(a),
+};
+
+// Reorder the desired tree in place; Maps iterate in insertion order
+function sortFolderTree(node, compareBookmarks, compareFolders) {
+  node.bookmarks = new Map([...node.bookmarks].sort(([, a], [, b]) => compareBookmarks(a, b)));
+  if (compareFolders) {
+    node.folders = new Map([...node.folders].sort(compareFolders));
+  }
+  for (const child of node.folders.values()) {
+    sortFolderTree(child, compareBookmarks, compareFolders);
+  }
+}
+
+// Folder layouts for the full download. Each maps a bookmark to the folder paths it
+// belongs in ([] is the download root itself); an empty list leaves the bookmark out.
+const FOLDER_LAYOUTS = {
+  // One folder per tag — bookmarks with several tags appear in each
+  tag: (bm, ctx) => ctx.validTags(bm).map((tag) => tagToFolderPath(tag, ctx.separator)),
+  // Only the first tag, so every bookmark appears once
+  primaryTag: (bm, ctx) => ctx.validTags(bm).slice(0, 1).map((tag) => tagToFolderPath(tag, ctx.separator)),
+  domain: (bm, ctx) => (ctx.validTags(bm).length > 0 ? [[domainOf(bm.url)]] : []),
+  // "2026 › 10" by date added
+  date: (bm, ctx) => {
+    if (ctx.validTags(bm).length === 0) return [];
+    const added = new Date(bm.date_added);
+    return [[String(added.getFullYear()), String(added.getMonth() + 1).padStart(2, "0")]];
+  },
+  flat: (bm, ctx) => (ctx.validTags(bm).length > 0 ? [[]] : []),
+};
+
+function domainOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "") || "Other";
+  } catch {
+    return "Other";
+  }
+}
+
+// With dryRun, nothing in Chrome, Linkding or the sync state is changed; the returned
+// changes list what a real run would do.
+async function runSync(profileId, onProgress, { dryRun = false } = {}) {
   const log = onProgress || (() => { });
+  const changeSet = createChangeSet({ dryRun });
 
-  const { url, token, folderName, parentFolderId, excludedTags } = await getSettings();
+  const profile = await getProfile(profileId);
+  const { url, token, folderName, parentFolderId, excludedTags, tagHierarchy, tagSeparator, folderLayout, smartFolders } = profile;
+  const { archiveFolderEnabled, archiveFolderName, unreadFolderEnabled, unreadFolderName } = profile;
+  const { bookmarkSort, folderSort } = profile;
   if (!url || !token) throw new Error("Missing URL or API token.");
   if (!parentFolderId) throw new Error("No bookmark folder selected.");
 
@@ -140,24 +1190,26 @@ async function runSync(onProgress) {
   }
 
   log("preparing", "Preparing folders...");
-  const rootFolderId = await getOrCreateFolder(folderName, parentFolderId);
+  const rootFolderId = await getOrCreateFolder(folderName, parentFolderId, changeSet.bookmarks);
 
   log("fetching", "Fetching from Linkding...");
-  const bookmarks = await fetchAllBookmarks(url, token);
-  const configResult = await fetchConfig(url, token);
-  const config = configResult ? configResult.data : null;
-
-  // Apply Sort Order from Config
-  if (config && Array.isArray(config.order)) {
-    const orderMap = new Map();
-    config.order.forEach((u, i) => orderMap.set(u, i));
-
-    bookmarks.sort((a, b) => {
-      const idxA = orderMap.has(a.url) ? orderMap.get(a.url) : Number.MAX_SAFE_INTEGER;
-      const idxB = orderMap.has(b.url) ? orderMap.get(b.url) : Number.MAX_SAFE_INTEGER;
-      return idxA - idxB;
-    });
+  const bookmarks = await getCachedBookmarks(profileId, url, token, { dryRun });
+
+  // Sort order saved in the two-way config bookmarks, used by the "config" bookmark sort
+  const orderMap = new Map();
+  if (bookmarkSort === "config") {
+    for (const pair of profile.twoWayPairs) {
+      const configResult = await fetchConfig(url, token, configUrlFor(profileId, pair.id));
+      const config = configResult ? configResult.data : null;
+      if (!config || !Array.isArray(config.order)) continue;
+      for (const u of config.order) {
+        if (!orderMap.has(u)) orderMap.set(u, orderMap.size);
+      }
+    }
   }
+  const sortContext = {
+    configRank: (bm) => (orderMap.has(bm.url) ? orderMap.get(bm.url) : Number.MAX_SAFE_INTEGER),
+  };
 
   // Collect tags
   const tagNames = new Set();
@@ -182,124 +1234,437 @@ async function runSync(onProgress) {
     tagNames.add("Untagged");
   }
 
-  // Build desired state: tag → Set of URLs with titles
-  const desired = new Map(); // tag → Map<url, title>
+  // Build desired state as a folder tree, laid out by the chosen layout. A bookmark is
+  // only downloaded if it has at least one tag that isn't excluded.
+  const layout = FOLDER_LAYOUTS[folderLayout] || FOLDER_LAYOUTS.tag;
+  const layoutContext = {
+    separator: tagHierarchy ? tagSeparator : null,
+    validTags: (bm) => {
+      const tags = bm.tag_names && bm.tag_names.length > 0 ? bm.tag_names : ["Untagged"];
+      return tags.filter(t => !excludedTagsList.includes(t));
+    },
+  };
+  const desired = createFolderNode();
   for (const bm of bookmarks) {
-    const tags =
-      bm.tag_names && bm.tag_names.length > 0 ? bm.tag_names : ["Untagged"];
-    const validTags = tags.filter(t => !excludedTagsList.includes(t));
-    const title = bm.title || bm.url;
-    for (const tag of validTags) {
-      if (!desired.has(tag)) desired.set(tag, new Map());
-      desired.get(tag).set(bm.url, title);
+    for (const path of layout(bm, layoutContext)) {
+      getFolderNode(desired, path).bookmarks.set(bm.url, bm);
     }
   }
 
-  // Read existing state from browser
-  log("comparing", "Comparing with existing bookmarks...");
-  const existingChildren = await chrome.bookmarks.getChildren(rootFolderId);
-  const existingFolders = new Map(); // tag → { id, bookmarks: Map<url, {id, title}> }
-  for (const child of existingChildren) {
-    if (!child.url) {
-      const folderBookmarks = await chrome.bookmarks.getChildren(child.id);
-      const bmMap = new Map();
-      for (const fb of folderBookmarks) {
-        if (fb.url) bmMap.set(fb.url, { id: fb.id, title: fb.title });
-      }
-      existingFolders.set(child.title, { id: child.id, bookmarks: bmMap });
+  // Saved-search folders sit next to the tag folders at the top level. One named like a
+  // tag folder or the Read Later or Archive folder is skipped: sharing the folder, each
+  // would remove the other's bookmarks.
+  const reservedNames = [
+    ...(unreadFolderEnabled ? [unreadFolderName] : []),
+    ...(archiveFolderEnabled ? [archiveFolderName] : []),
+  ];
+  for (const smart of smartFolders) {
+    if (desired.folders.has(smart.name) || reservedNames.includes(smart.name)) {
+      log("fetching", `Skipped saved search "${smart.name}": its folder name is taken.`);
+      continue;
+    }
+    log("fetching", `Fetching saved search "${smart.name}"...`);
+    const results = await fetchBookmarksByQuery(url, token, smart.query);
+    const node = getFolderNode(desired, [smart.name]);
+    for (const bm of results) {
+      node.bookmarks.set(bm.url, bm);
     }
   }
 
-  let created = 0, removed = 0, updated = 0;
-
-  // Remove folders that should no longer exist
-  for (const [tag, folder] of existingFolders) {
-    if (!desired.has(tag)) {
-      await chrome.bookmarks.removeTree(folder.id);
-      removed += folder.bookmarks.size;
+  // Archive and Read Later folders. As in the layouts, excluded tags are only ignored:
+  // a bookmark is left out if it has no other tag (untagged bookmarks count as "Untagged").
+  const isIncluded = (bm) => layoutContext.validTags(bm).length > 0;
+  if (unreadFolderEnabled) {
+    const node = getFolderNode(desired, [unreadFolderName]);
+    for (const bm of bookmarks) {
+      if (bm.unread && isIncluded(bm)) node.bookmarks.set(bm.url, bm);
+    }
+  }
+  if (archiveFolderEnabled) {
+    log("fetching", "Fetching archived bookmarks...");
+    const archived = await getCachedBookmarks(profileId, url, token, { list: "archived", dryRun });
+    const node = getFolderNode(desired, [archiveFolderName]);
+    for (const bm of archived) {
+      if (isIncluded(bm)) node.bookmarks.set(bm.url, bm);
     }
   }
 
-  // Sync each tag folder
-  for (const [tag, desiredBookmarks] of desired) {
-    const existing = existingFolders.get(tag);
-    let folderId;
+  const compareBookmarks = BOOKMARK_SORTS[bookmarkSort] || BOOKMARK_SORTS.config;
+  const compareFolders = FOLDER_SORTS[folderSort] || null;
+  sortFolderTree(desired, (a, b) => compareBookmarks(a, b, sortContext), compareFolders);
 
-    if (existing) {
-      folderId = existing.id;
+  // Read existing state from browser
+  log("comparing", "Comparing with existing bookmarks...");
+  const existing = await readFolderTree(rootFolderId, changeSet.bookmarks);
+  // Loose bookmarks in the download folder are the user's, unless a download put them there
+  const { downloadRootBookmarkIds } = await getProfileState(profileId);
+  if (downloadRootBookmarkIds) {
+    for (const [bmUrl, bm] of existing.bookmarks) {
+      if (!downloadRootBookmarkIds.includes(bm.id)) existing.bookmarks.delete(bmUrl);
+    }
+  }
 
-      // Remove bookmarks no longer in this tag
-      for (const [url, bm] of existing.bookmarks) {
-        if (!desiredBookmarks.has(url)) {
-          await chrome.bookmarks.remove(bm.id);
-          removed++;
-        }
-      }
+  const counts = { created: 0, removed: 0, updated: 0, moved: 0 };
+  const rootBookmarkIds = await syncFolderTree(rootFolderId, desired, existing, counts, {
+    sortFolders: !!compareFolders,
+    bookmarks: changeSet.bookmarks,
+  });
+  const { created, removed, updated, moved } = counts;
+  const { changes } = changeSet;
 
-      // Add missing bookmarks and update changed titles
-      for (const [url, title] of desiredBookmarks) {
-        const existingBm = existing.bookmarks.get(url);
-        if (!existingBm) {
-          await chrome.bookmarks.create({ parentId: folderId, title, url });
-          created++;
-        } else if (existingBm.title !== title) {
-          await chrome.bookmarks.update(existingBm.id, { title });
-          updated++;
-        }
-      }
-    } else {
-      // New tag folder — create everything
-      folderId = await getOrCreateFolder(tag, rootFolderId);
-      for (const [url, title] of desiredBookmarks) {
-        await chrome.bookmarks.create({ parentId: folderId, title, url });
-        created++;
-      }
-    }
+  if (dryRun) {
+    log("saving", `Planned: ${created} to add, ${removed} to remove, ${updated} to update, ${moved} to move.`);
+    return { bookmarks: bookmarks.length, tags: tagNames.size, created, removed, updated, moved, changes };
   }
 
-  log("saving", `Done: ${created} added, ${removed} removed, ${updated} updated.`);
+  log("saving", `Done: ${created} added, ${removed} removed, ${updated} updated, ${moved} moved.`);
 
   // Persist last sync info
-  await chrome.storage.sync.set({
+  await setProfileState(profileId, {
     lastSyncTime: Date.now(),
     lastSyncCount: bookmarks.length,
     lastSyncTags: tagNames.size,
+    downloadRootBookmarkIds: rootBookmarkIds,
   });
 
-  return { bookmarks: bookmarks.length, tags: tagNames.size, created, removed, updated };
+  return { bookmarks: bookmarks.length, tags: tagNames.size, created, removed, updated, moved, changes };
 }
 
 // ===================== Two-Way Sync =====================
 
-async function getMapping() {
-  const { twoWayMapping } = await chrome.storage.local.get({ twoWayMapping: {} });
-  return twoWayMapping;
+// The mapping pairs each Linkding bookmark with its Chrome copies, one per folder:
+// linkdingId → { linkdingId, chromeIds, title, url, folderPaths, lastSynced }, where
+// title, url and folderPaths are the values both sides agreed on at the last sync. With
+// dryRun, a mapping in the old format is migrated without saving it.
+async function getMapping(profileId, pairId, { dryRun = false } = {}) {
+  const key = pairStorageKey("twoWayMapping", profileId, pairId);
+  const { [key]: mapping } = await chrome.storage.local.get({ [key]: {} });
+
+  // Mappings used to be keyed by URL, with a single Chrome bookmark and folder per entry
+  const entries = Object.entries(mapping);
+  if (entries.some(([id, entry]) => id !== String(entry.linkdingId) || !entry.chromeIds)) {
+    const migrated = {};
+    for (const [, entry] of entries) {
+      const { chromeId, folderPath, ...rest } = entry;
+      migrated[entry.linkdingId] = entry.chromeIds
+        ? entry
+        : { ...rest, chromeIds: [chromeId], folderPaths: [folderPath || ""] };
+    }
+    if (!dryRun) await setMapping(profileId, pairId, migrated);
+    return migrated;
+  }
+  return mapping;
 }
 
-async function setMapping(mapping) {
-  await chrome.storage.local.set({ twoWayMapping: mapping });
+async function setMapping(profileId, pairId, mapping) {
+  await chrome.storage.local.set({ [pairStorageKey("twoWayMapping", profileId, pairId)]: mapping });
 }
 
-async function fetchBookmarksWithTag(baseUrl, token, tag) {
-  const all = [];
-  let url = `${baseUrl}/api/bookmarks/?q=%23${encodeURIComponent(tag)}&limit=100`;
-  while (url) {
-    const resp = await fetch(url, {
-      headers: { Authorization: `Token ${token}` },
-    });
-    if (!resp.ok) {
-      const body = await resp.text().catch(() => "");
-      throw new Error(`API ${resp.status}: ${resp.statusText} ${body}`);
+// Conflicts held for the user under the "ask" policy:
+// linkdingId → { linkdingId, chromeIds, kind, chrome, linkding, synced, linkdingModified, detectedAt }
+// kind is "edit" (changed on both sides), "chromeDeleted" or "linkdingDeleted" (deleted on
+// one side, edited on the other). chrome, linkding and synced are { url, title, folderPaths }
+// versions, null for a deleted side.
+async function getConflicts(profileId, pairId) {
+  const key = pairStorageKey("twoWayConflicts", profileId, pairId);
+  const { [key]: conflicts } = await chrome.storage.local.get({ [key]: {} });
+  return conflicts;
+}
+
+async function setConflicts(profileId, pairId, conflicts) {
+  await chrome.storage.local.set({ [pairStorageKey("twoWayConflicts", profileId, pairId)]: conflicts });
+}
+
+// When the user last edited, moved or removed each Chrome bookmark (chromeId → time),
+// recorded by the bookmark listeners and used by the "newest" conflict policy
+async function getChromeEdits(profileId, pairId) {
+  const key = pairStorageKey("chromeEdits", profileId, pairId);
+  const { [key]: edits } = await chrome.storage.local.get({ [key]: {} });
+  return edits;
+}
+
+async function recordChromeEdits(profileId, pairId, chromeIds) {
+  const edits = await getChromeEdits(profileId, pairId);
+  const now = Date.now();
+  for (const id of chromeIds) edits[id] = now;
+  await chrome.storage.local.set({ [pairStorageKey("chromeEdits", profileId, pairId)]: edits });
+}
+
+// Drop the edit times of bookmarks whose edits have reached Linkding
+async function forgetChromeEdits(profileId, pairId, chromeIds) {
+  const edits = await getChromeEdits(profileId, pairId);
+  for (const id of chromeIds) delete edits[id];
+  await chrome.storage.local.set({ [pairStorageKey("chromeEdits", profileId, pairId)]: edits });
+}
+
+// Bookmark operations the listeners saw since the last two-way sync, in order:
+// [{ op, chromeId, folder }], op being "create", "retitle", "move" or "delete". Moving or
+// renaming a folder moves every bookmark inside it. Replayed by runTwoWayJournal().
+async function getJournal(profileId, pairId) {
+  const key = pairStorageKey("twoWayJournal", profileId, pairId);
+  const { [key]: journal } = await chrome.storage.local.get({ [key]: [] });
+  return journal;
+}
+
+async function recordJournal(profileId, pairId, ops) {
+  const journal = await getJournal(profileId, pairId);
+  await chrome.storage.local.set({ [pairStorageKey("twoWayJournal", profileId, pairId)]: [...journal, ...ops] });
+}
+
+// Deletions held back by the mass-deletion guard until the user confirms or discards them:
+// null, or { detectedAt, tracked, deletions: [{ linkdingId, target, title, url }] }, where
+// target is the side the bookmark would be deleted from
+async function getPendingDeletions(profileId, pairId) {
+  const key = pairStorageKey("pendingDeletions", profileId, pairId);
+  const { [key]: pending } = await chrome.storage.local.get({ [key]: null });
+  return pending;
+}
+
+// Whether a run that would delete count of the tracked bookmarks needs the user's go-ahead.
+// The percentage only counts from three deletions, so pruning a small folder doesn't trip it.
+function exceedsDeletionGuard(profile, count, tracked) {
+  const { deletionGuardCount, deletionGuardPercent } = profile;
+  if (deletionGuardCount > 0 && count > deletionGuardCount) return true;
+  return deletionGuardPercent > 0 && count >= 3 && count * 100 > tracked * deletionGuardPercent;
+}
+
+// Keep the bookmarks a held run would have deleted. Unpaired, each is copied back to the
+// side it's missing from on the next two-way sync.
+async function discardPendingDeletions(profileId, pairId) {
+  const pending = await getPendingDeletions(profileId, pairId);
+  if (!pending) return;
+  const mapping = await getMapping(profileId, pairId);
+  for (const { linkdingId } of pending.deletions) delete mapping[linkdingId];
+  await setMapping(profileId, pairId, mapping);
+  await chrome.storage.local.remove(pairStorageKey("pendingDeletions", profileId, pairId));
+}
+
+// Bookmarks deleted in Chrome and taken out of Linkding by two-way sync, newest first:
+// [{ linkdingId, title, url, folderPaths, policy, removedAt }], where policy is the
+// twoWayDeletePolicy it was removed under
+const RECENTLY_REMOVED_LIMIT = 50;
+
+async function getRecentlyRemoved(profileId, pairId) {
+  const key = pairStorageKey("recentlyRemoved", profileId, pairId);
+  const { [key]: removed } = await chrome.storage.local.get({ [key]: [] });
+  return removed;
+}
+
+async function addRecentlyRemoved(profileId, pairId, items) {
+  if (items.length === 0) return;
+  const removed = [...items.reverse(), ...await getRecentlyRemoved(profileId, pairId)];
+  const key = pairStorageKey("recentlyRemoved", profileId, pairId);
+  await chrome.storage.local.set({ [key]: removed.slice(0, RECENTLY_REMOVED_LIMIT) });
+}
+
+// Put a recently removed bookmark back into the Chrome folders it was in. An archived or untagged
+// Linkding bookmark is brought back under the pair's tags and paired with the new Chrome
+// bookmark, keeping its notes and tags. A deleted one is gone, so the Chrome bookmark is
+// left unpaired and uploaded as new on the next sync. Returns the changes, as
+// resolveTwoWayConflict() does.
+async function restoreRemovedBookmark(profileId, pairId, linkdingId) {
+  const profile = await getProfile(profileId);
+  const { url: baseUrl, token } = profile;
+  const pair = findPair(profile, pairId);
+  const removed = await getRecentlyRemoved(profileId, pairId);
+  const item = removed.find((r) => r.linkdingId === linkdingId);
+  if (!item) throw new Error("This bookmark is no longer in the recently removed list.");
+
+  const changeSet = createChangeSet();
+  let ld = item.policy === "delete" ? null : await getLinkdingBookmark(baseUrl, token, linkdingId);
+  if (ld) {
+    const before = ld;
+    if (ld.is_archived) {
+      await changeSet.linkding("unarchive", { url: ld.url, title: ld.title, before }, () =>
+        setLinkdingArchived(baseUrl, token, ld.id, false));
     }
-    const data = await resp.json();
-    all.push(...data.results);
-    url = data.next;
+    const otherTags = withoutSyncTags(pair.tag, ld.tag_names).filter((t) => t !== DELETED_TAG);
+    const tagNames = [...buildTagsForPaths(pair.tag, item.folderPaths), ...otherTags];
+    ld = await changeSet.linkding("update", { url: ld.url, title: ld.title, tags: tagNames, before }, () =>
+      updateLinkdingBookmark(baseUrl, token, before.id, { tag_names: tagNames }));
+    await updateCachedBookmark(profileId, ld);
+  }
+
+  const chromeIds = await createChromeCopies(pair.folderId, item.folderPaths, item, changeSet.bookmarks);
+  if (ld) {
+    const mapping = await getMapping(profileId, pairId);
+    mapping[ld.id] = {
+      linkdingId: ld.id,
+      chromeIds,
+      title: item.title,
+      url: item.url,
+      folderPaths: item.folderPaths,
+      lastSynced: Date.now(),
+    };
+    await setMapping(profileId, pairId, mapping);
+  }
+
+  const key = pairStorageKey("recentlyRemoved", profileId, pairId);
+  await chrome.storage.local.set({ [key]: removed.filter((r) => r !== item) });
+  return { changes: changeSet.changes };
+}
+
+// Save a page from the popup. A URL Linkding already has updates that bookmark: the tags
+// are added to its own and an empty description or notes leaves its own. With a pairId,
+// the pair's tag is added and, unless the bookmark is already paired, a copy is put in
+// each pair folder its path tags name (the top level if none) and paired with it.
+async function quickAddBookmark(profileId, { url, title, description, notes, tagNames, unread, shared }, pairId) {
+  const profile = await getProfile(profileId);
+  const { url: baseUrl, token } = profile;
+  if (!baseUrl || !token) throw new Error("Linkding URL and API token are not configured.");
+  const pair = pairId ? findPair(profile, pairId) : null;
+
+  const changeSet = createChangeSet();
+  const existing = await checkLinkdingUrl(baseUrl, token, url);
+  const tags = [...new Set([...(existing ? existing.tag_names : []), ...tagNames, ...(pair ? [pair.tag] : [])])];
+  let ld;
+  if (existing) {
+    ld = await changeSet.linkding("update", { url, title, tags, before: existing }, () =>
+      updateLinkdingBookmark(baseUrl, token, existing.id, {
+        title,
+        description: description || undefined,
+        notes: notes || undefined,
+        tag_names: tags,
+        unread,
+        shared,
+      }));
+  } else {
+    ld = await changeSet.linkding("create", { url, title, tags }, () =>
+      createLinkdingBookmark(baseUrl, token, { url, title, description, notes, tagNames: tags, unread, shared }));
+  }
+  if (!ld.is_archived) await updateCachedBookmark(profileId, ld);
+
+  let paired = false;
+  if (pair) {
+    const mapping = await getMapping(profileId, pair.id);
+    if (!mapping[ld.id]) {
+      const folderPaths = extractFolderPaths(pair.tag, ld.tag_names);
+      const chromeIds = await createChromeCopies(pair.folderId, folderPaths, ld, changeSet.bookmarks);
+      mapping[ld.id] = {
+        linkdingId: ld.id,
+        chromeIds,
+        title: ld.title,
+        url: ld.url,
+        folderPaths,
+        lastSynced: Date.now(),
+      };
+      await setMapping(profileId, pair.id, mapping);
+      paired = true;
+    }
+  }
+  return { bookmark: ld, updated: !!existing, paired, changes: changeSet.changes };
+}
+
+// Change the tags, notes or unread state of the active tab's bookmark from the popup
+async function editSavedBookmark(profileId, linkdingId, { tagNames, notes, unread }) {
+  const { url: baseUrl, token } = await getProfile(profileId);
+  const before = await getLinkdingBookmark(baseUrl, token, linkdingId);
+  if (!before) throw new Error("This bookmark no longer exists in Linkding.");
+  const changeSet = createChangeSet();
+  const ld = await changeSet.linkding("update", { url: before.url, title: before.title, tags: tagNames, before }, () =>
+    updateLinkdingBookmark(baseUrl, token, linkdingId, { notes, unread, tag_names: tagNames }));
+  if (!ld.is_archived) await updateCachedBookmark(profileId, ld);
+  return { bookmark: ld, changes: changeSet.changes };
+}
+
+// Delete the active tab's bookmark from the popup. A two-way copy of it is removed from
+// Chrome by the next sync, like any bookmark deleted in Linkding.
+async function deleteSavedBookmark(profileId, linkdingId) {
+  const { url: baseUrl, token } = await getProfile(profileId);
+  const before = await getLinkdingBookmark(baseUrl, token, linkdingId);
+  const changeSet = createChangeSet();
+  if (before) {
+    await changeSet.linkding("remove", { url: before.url, title: before.title, before }, () =>
+      deleteLinkdingBookmark(baseUrl, token, linkdingId));
+    await removeCachedBookmarks(profileId, [linkdingId]);
+  }
+  return { url: before ? before.url : null, changes: changeSet.changes };
+}
+
+// Whether "keep both" can settle a conflict. Two copies of the same URL would be paired
+// with one Linkding bookmark again by the next sync, so it needs an edit that changed the URL.
+function canKeepBoth(conflict, urlNormalization) {
+  return conflict.kind === "edit" && !sameField("url", conflict.chrome.url, conflict.linkding.url, urlNormalization);
+}
+
+// Pick the side that wins a conflict under a policy other than "ask". For "newest", a
+// side that was deleted or has no known change time counts as older.
+function pickConflictWinner(policy, linkdingTime, chromeTime) {
+  if (policy === "chrome" || policy === "linkding") return policy;
+  return (chromeTime || 0) > (linkdingTime || 0) ? "chrome" : "linkding";
+}
+
+// Settle a queued conflict by adjusting the mapping so the next two-way sync carries the
+// chosen version across. choice is "chrome" (keep mine), "linkding" (keep theirs) or, for
+// edit conflicts where the URL changed, "both": the Linkding version is added to Chrome as
+// a second bookmark and the existing copies are unpaired, so they're uploaded as new.
+// Returns the changes it made itself, for the sync history and undo.
+async function resolveTwoWayConflict(profileId, pairId, linkdingId, choice) {
+  const profile = await getProfile(profileId);
+  const pair = findPair(profile, pairId);
+  const conflicts = await getConflicts(profileId, pairId);
+  const conflict = conflicts[linkdingId];
+  if (!conflict) throw new Error("This conflict has already been resolved.");
+  if (choice === "both" && !canKeepBoth(conflict, profile.urlNormalization)) {
+    throw new Error("Both versions have the same URL, so only one of them can be kept.");
+  }
+  const changeSet = createChangeSet();
+  const mapping = await getMapping(profileId, pairId);
+  const entry = mapping[linkdingId];
+
+  if (conflict.kind === "edit") {
+    if (choice === "chrome") {
+      // Linkding now looks unchanged, so the Chrome version is pushed
+      Object.assign(entry, conflict.linkding);
+    } else if (choice === "linkding") {
+      Object.assign(entry, conflict.chrome);
+    } else {
+      const chromeIds = await createChromeCopies(pair.folderId, conflict.linkding.folderPaths, conflict.linkding, changeSet.bookmarks);
+      Object.assign(entry, conflict.linkding, { chromeIds });
+    }
+  } else if (conflict.kind === "chromeDeleted") {
+    if (choice === "chrome") {
+      // Treat the Linkding edit as already synced, so the deletion goes through
+      entry.lastSynced = Math.max(Date.now(), conflict.linkdingModified + 1);
+    } else {
+      // Unpaired, the Linkding bookmark is downloaded again
+      delete mapping[linkdingId];
+    }
+  } else if (choice === "chrome") {
+    // Unpaired, the Chrome bookmark is uploaded again
+    delete mapping[linkdingId];
+  } else {
+    // Chrome now looks unchanged, so the Linkding deletion goes through
+    Object.assign(entry, conflict.chrome);
   }
-  // Filter to only bookmarks that actually have the exact tag
-  return all.filter((bm) => bm.tag_names && bm.tag_names.includes(tag));
+
+  delete conflicts[linkdingId];
+  await setMapping(profileId, pairId, mapping);
+  await setConflicts(profileId, pairId, conflicts);
+  return { changes: changeSet.changes };
+}
+
+// The error for a failed request, keeping its HTTP status for isUnreachableError()
+async function requestError(message, resp) {
+  const body = await resp.text().catch(() => "");
+  const err = new Error(`${message} ${resp.status}: ${body}`);
+  err.status = resp.status;
+  return err;
 }
 
-async function createLinkdingBookmark(baseUrl, token, { url, title, description, notes, tagNames }) {
+// Whether a request failed because Linkding couldn't be reached (offline, off the VPN,
+// server down) rather than because it refused the request, so it's worth retrying
+function isUnreachableError(err) {
+  return err instanceof TypeError || err.status >= 500 || err.status === 429;
+}
+
+// Whether a write failed because the Linkding bookmark has been deleted, e.g. since the
+// cached bookmark list was fetched
+function isNotFoundError(err) {
+  return err.status === 404;
+}
+
+async function createLinkdingBookmark(baseUrl, token, { url, title, description, notes, tagNames, unread, shared }) {
   const body = {
     url,
     title: title || url,
@@ -307,7 +1672,9 @@ async function createLinkdingBookmark(baseUrl, token, { url, title, description,
   };
   if (description !== undefined) body.description = description;
   if (notes !== undefined) body.notes = notes;
-  const resp = await fetch(`${baseUrl}/api/bookmarks/`, {
+  if (unread !== undefined) body.unread = unread;
+  if (shared !== undefined) body.shared = shared;
+  const resp = await apiFetch(`${baseUrl}/api/bookmarks/`, {
     method: "POST",
     headers: {
       Authorization: `Token ${token}`,
@@ -315,28 +1682,21 @@ async function createLinkdingBookmark(baseUrl, token, { url, title, description,
     },
     body: JSON.stringify(body),
   });
-  if (!resp.ok) {
-    const errBody = await resp.text().catch(() => "");
-    // Try to parse JSON error to be more helpful
-    try {
-      const errObj = JSON.parse(errBody);
-      throw new Error(`Create failed ${resp.status}: ${JSON.stringify(errObj)}`);
-    } catch {
-      throw new Error(`Create failed ${resp.status}: ${errBody}`);
-    }
-  }
+  if (!resp.ok) throw await requestError("Create failed", resp);
   return resp.json();
 }
 
-async function updateLinkdingBookmark(baseUrl, token, id, { url, title, description, notes, tag_names }) {
+async function updateLinkdingBookmark(baseUrl, token, id, { url, title, description, notes, tag_names, unread, shared }) {
   const bodyData = {};
   if (url) bodyData.url = url;
   if (title) bodyData.title = title;
   if (description !== undefined) bodyData.description = description;
   if (notes !== undefined) bodyData.notes = notes;
   if (tag_names) bodyData.tag_names = tag_names;
+  if (unread !== undefined) bodyData.unread = unread;
+  if (shared !== undefined) bodyData.shared = shared;
 
-  const resp = await fetch(`${baseUrl}/api/bookmarks/${id}/`, {
+  const resp = await apiFetch(`${baseUrl}/api/bookmarks/${id}/`, {
     method: "PATCH",
     headers: {
       Authorization: `Token ${token}`,
@@ -345,30 +1705,86 @@ async function updateLinkdingBookmark(baseUrl, token, id, { url, title, descript
     body: JSON.stringify(bodyData),
   });
   if (!resp.ok) {
-    const body = await resp.text().catch(() => "");
-    throw new Error(`Update failed ${resp.status}: ${body}`);
+    throw await requestError("Update failed", resp);
   }
   return resp.json();
 }
 
 
 async function deleteLinkdingBookmark(baseUrl, token, id) {
-  const resp = await fetch(`${baseUrl}/api/bookmarks/${id}/`, {
+  const resp = await apiFetch(`${baseUrl}/api/bookmarks/${id}/`, {
     method: "DELETE",
     headers: { Authorization: `Token ${token}` },
   });
   if (!resp.ok && resp.status !== 404) {
-    const body = await resp.text().catch(() => "");
-    throw new Error(`Delete failed ${resp.status}: ${body}`);
+    throw await requestError("Delete failed", resp);
+  }
+}
+
+// Fetch one bookmark, or null if it no longer exists
+async function getLinkdingBookmark(baseUrl, token, id) {
+  const resp = await apiFetch(`${baseUrl}/api/bookmarks/${id}/`, {
+    headers: { Authorization: `Token ${token}` },
+  });
+  if (resp.status === 404) return null;
+  if (!resp.ok) {
+    throw await requestError("Fetch failed", resp);
+  }
+  return resp.json();
+}
+
+// The bookmark saved under a URL, archived or not, or null
+async function checkLinkdingUrl(baseUrl, token, url) {
+  const resp = await apiFetch(`${baseUrl}/api/bookmarks/check/?url=${encodeURIComponent(url)}`, {
+    headers: { Authorization: `Token ${token}` },
+  });
+  if (!resp.ok) {
+    throw await requestError("Check failed", resp);
+  }
+  const data = await resp.json();
+  return data.bookmark || null;
+}
+
+async function setLinkdingArchived(baseUrl, token, id, archived) {
+  const action = archived ? "archive" : "unarchive";
+  const resp = await apiFetch(`${baseUrl}/api/bookmarks/${id}/${action}/`, {
+    method: "POST",
+    headers: { Authorization: `Token ${token}` },
+  });
+  if (!resp.ok) {
+    throw await requestError(`${archived ? "Archive" : "Unarchive"} failed`, resp);
+  }
+}
+
+// Take a bookmark deleted in Chrome out of a pair in Linkding, following the profile's
+// twoWayDeletePolicy: delete it, archive it, or swap its sync tags for the deleted tag
+async function removeFromLinkding(changeSet, profile, pair, ld) {
+  const { url: baseUrl, token, twoWayDeletePolicy } = profile;
+  try {
+    if (twoWayDeletePolicy === "archive") {
+      await changeSet.linkding("archive", { url: ld.url, title: ld.title, before: ld }, () =>
+        setLinkdingArchived(baseUrl, token, ld.id, true));
+    } else if (twoWayDeletePolicy === "untag") {
+      const tags = [...withoutSyncTags(pair.tag, ld.tag_names), DELETED_TAG];
+      await changeSet.linkding("update", { url: ld.url, title: ld.title, tags, before: ld }, () =>
+        updateLinkdingBookmark(baseUrl, token, ld.id, { tag_names: tags }));
+    } else {
+      await changeSet.linkding("remove", { url: ld.url, title: ld.title, before: ld }, () =>
+        deleteLinkdingBookmark(baseUrl, token, ld.id));
+    }
+  } catch (err) {
+    // Deleted in Linkding already, which is as good
+    if (!isNotFoundError(err)) throw err;
   }
 }
 
 // Recursively collect all bookmarks under a folder with their relative folder path.
 // Returns array of { id, url, title, dateAdded, folderPath } where folderPath is
-// "" for root-level bookmarks or "Subfolder/Nested" for nested ones.
-async function getChromeBookmarksRecursive(folderId, prefix) {
+// "" for root-level bookmarks or "Subfolder/Nested" for nested ones, with each folder
+// name escaped by encodeFolderName().
+async function getChromeBookmarksRecursive(folderId, prefix, bookmarks = chrome.bookmarks) {
   const results = [];
-  const children = await chrome.bookmarks.getChildren(folderId);
+  const children = await bookmarks.getChildren(folderId);
   for (const child of children) {
     if (child.url) {
       results.push({
@@ -380,48 +1796,293 @@ async function getChromeBookmarksRecursive(folderId, prefix) {
       });
     } else {
       // It's a subfolder — recurse
-      const subPath = prefix ? `${prefix}/${child.title}` : child.title;
-      const sub = await getChromeBookmarksRecursive(child.id, subPath);
+      const name = encodeFolderName(child.title);
+      const subPath = prefix ? `${prefix}/${name}` : name;
+      const sub = await getChromeBookmarksRecursive(child.id, subPath, bookmarks);
       results.push(...sub);
     }
   }
   return results;
 }
 
-// Build the tag list for a bookmark given its folder path.
+// Characters escaped in folder names inside path tags: the "%" escape itself, the "/"
+// path separator, and what Linkding splits tags on or treats specially
+const FOLDER_NAME_ESCAPES = /[%/,#\s]/gu;
+
+// Linkding's limit on the length of a tag name
+const LINKDING_TAG_MAX_LENGTH = 64;
+
+// Escape a Chrome folder name for use in a path tag, e.g. "My Projects/C#" becomes
+// "My%20Projects%2FC%23". A folder without a name becomes a lone "%", which no name
+// escapes to. decodeFolderName() reverses it.
+function encodeFolderName(name) {
+  if (!name) return "%";
+  return name.replace(FOLDER_NAME_ESCAPES, (c) => encodeURIComponent(c));
+}
+
+// Undo encodeFolderName(). A "%" that doesn't start a valid escape is kept as is, so
+// names from path tags written before escaping existed come through unchanged.
+function decodeFolderName(segment) {
+  if (segment === "%") return "";
+  return segment.replace(/(%[0-9a-f]{2})+/gi, (escapes) => {
+    try {
+      return decodeURIComponent(escapes);
+    } catch {
+      return escapes;
+    }
+  });
+}
+
+// Re-escape every folder name of a path, which leaves escaped paths unchanged
+function normalizeFolderPath(folderPath) {
+  if (!folderPath) return folderPath;
+  return folderPath.split("/").map((segment) => encodeFolderName(decodeFolderName(segment))).join("/");
+}
+
+// A folder path as the user sees it, e.g. "Work › My Projects"
+function folderPathLabel(folderPath) {
+  return folderPath.split("/").map((segment) => decodeFolderName(segment) || "(no name)").join(" › ");
+}
+
+// Whether a bookmark has path tags from before folder names were escaped
+function hasUnescapedPathTags(syncTag, tagNames) {
+  const prefix = syncTag + "/";
+  return tagNames.some((t) => t.startsWith(prefix) && normalizeFolderPath(t.slice(prefix.length)) !== t.slice(prefix.length));
+}
+
+// Folder paths that can't be stored as a path tag: folderPath → reason. Rather than being
+// mangled, bookmarks in them are left out of the sync with a warning.
+function folderPathProblems(syncTag, folderPaths) {
+  const problems = new Map();
+  const byLowerCase = new Map();
+  for (const path of new Set(folderPaths)) {
+    if (!path) continue;
+    if (`${syncTag}/${path}`.length > LINKDING_TAG_MAX_LENGTH) {
+      problems.set(path, `its path tag would be longer than the ${LINKDING_TAG_MAX_LENGTH} characters Linkding allows`);
+    }
+    // Linkding matches tags regardless of case
+    const other = byLowerCase.get(path.toLowerCase());
+    if (other !== undefined) {
+      const reason = (p) => `Linkding can't tell it apart from "${folderPathLabel(p)}", which only differs in case`;
+      problems.set(path, reason(other));
+      problems.set(other, reason(path));
+    }
+    byLowerCase.set(path.toLowerCase(), path);
+  }
+  return problems;
+}
+
+// Warning for the bookmarks left in a folder that can't be synced
+function folderPathWarning(folderPath, reason) {
+  return `Bookmarks in "${folderPathLabel(folderPath)}" are not synced: ${reason}.`;
+}
+
+// Build the tag list for a bookmark given the folder paths of its copies.
 // Root-level bookmarks: [syncTag]
-// Nested bookmarks: [syncTag, "syncTag/Folder/Sub"]
-function buildTagsForPath(syncTag, folderPath) {
-  if (!folderPath) return [syncTag];
-  return [syncTag, `${syncTag}/${folderPath}`];
+// Nested bookmarks: [syncTag, "syncTag/Folder/Sub", "syncTag/Other"]
+// Root and nested: [syncTag, "syncTag/", "syncTag/Folder"]
+function buildTagsForPaths(syncTag, folderPaths) {
+  const paths = folderPaths.length > 1 ? folderPaths : folderPaths.filter(Boolean);
+  return [syncTag, ...paths.map((path) => `${syncTag}/${path}`)];
 }
 
-// Extract folder path from a Linkding bookmark's tags relative to the sync tag.
-// Looks for the most specific tag matching "syncTag/..." pattern.
-function extractFolderPath(syncTag, tagNames) {
+// A bookmark's tags other than the sync tag and its path tags
+function withoutSyncTags(syncTag, tagNames) {
+  const prefix = syncTag + "/";
+  return tagNames.filter((t) => t !== syncTag && !t.startsWith(prefix));
+}
+
+// Tag given to bookmarks taken out of a pair by the "untag" delete policy, whatever the
+// pair's tag
+const DELETED_TAG = "bookmark-sync-deleted";
+
+// The folders a bookmark belongs in, from its "syncTag/..." path tags (see canonicalPaths)
+function extractFolderPaths(syncTag, tagNames) {
   const prefix = syncTag + "/";
-  let best = "";
-  for (const t of tagNames) {
-    if (t.startsWith(prefix) && t.length > best.length) {
-      best = t;
+  return canonicalPaths(tagNames.filter((t) => t.startsWith(prefix)).map((t) => normalizeFolderPath(t.slice(prefix.length))));
+}
+
+// Sorted, distinct folder paths, as tags express them. Every folder gets its own path tag,
+// including one above another copy's folder. A bookmark only in the root ("") needs no
+// path tag, as the sync tag every bookmark carries stands for it; a root copy next to
+// others gets the bare "syncTag/" tag. An empty list means the root.
+function canonicalPaths(folderPaths) {
+  const paths = [...new Set(folderPaths.map((path) => path || ""))];
+  return paths.length > 0 ? paths.sort() : [""];
+}
+
+// Whether two values of a TWO_WAY_FIELDS field are the same. URLs are compared normalized.
+function sameField(field, a, b, urlNormalization) {
+  if (field === "url") return normalizeUrl(a, urlNormalization) === normalizeUrl(b, urlNormalization);
+  return Array.isArray(a) ? a.join("\n") === b.join("\n") : a === b;
+}
+
+// Query parameters dropped by the trackingParams option
+const TRACKING_PARAM = /^(utm_.+|fbclid|gclid|dclid|msclkid|yclid|igshid|mc_cid|mc_eid|_ga)$/i;
+
+// The form of a URL used to match bookmarks between Chrome and Linkding. Each option
+// drops one difference: trailingSlash ("/a/" vs "/a"), scheme (http vs https), www
+// ("www.x.com" vs "x.com"), trackingParams (utm_* and click IDs) and fragment ("#top").
+// Only the matching uses it; both sides keep the URL as it was saved.
+function normalizeUrl(url, { trailingSlash, scheme, www, trackingParams, fragment } = PROFILE_DEFAULTS.urlNormalization) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return url;
+  if (www) parsed.hostname = parsed.hostname.replace(/^www\./, "");
+  if (trailingSlash && parsed.pathname.endsWith("/")) parsed.pathname = parsed.pathname.slice(0, -1);
+  if (trackingParams) {
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAM.test(key)) parsed.searchParams.delete(key);
     }
   }
-  return best ? best.slice(prefix.length) : "";
+  if (fragment) parsed.hash = "";
+  return scheme ? parsed.href.slice(parsed.protocol.length) : parsed.href;
 }
 
 // Ensure a nested folder path exists under rootFolderId, creating folders as needed.
-// e.g. ensureFolderPath(rootId, "Work/Projects") creates Work/ then Projects/ inside it.
+// e.g. ensureFolderPath(rootId, "Work/My%20Projects") creates Work/ then "My Projects"/ inside it.
 // Returns the ID of the deepest folder.
-async function ensureFolderPath(rootFolderId, folderPath) {
+async function ensureFolderPath(rootFolderId, folderPath, bookmarks = chrome.bookmarks) {
   if (!folderPath) return rootFolderId;
   const parts = folderPath.split("/");
   let currentId = rootFolderId;
   for (const part of parts) {
-    currentId = await getOrCreateFolder(part, currentId);
+    currentId = await getOrCreateFolder(decodeFolderName(part), currentId, bookmarks);
   }
   return currentId;
 }
 
+// Create a Chrome copy of a bookmark in each of folderPaths. Returns their IDs.
+async function createChromeCopies(rootFolderId, folderPaths, { title, url }, bookmarks = chrome.bookmarks) {
+  const ids = [];
+  for (const folderPath of folderPaths) {
+    const parentId = await ensureFolderPath(rootFolderId, folderPath, bookmarks);
+    ids.push((await bookmarks.create({ parentId, title, url })).id);
+  }
+  return ids;
+}
+
+// Make the Chrome copies of a bookmark match folderPaths: copies in a wanted folder stay,
+// the rest are moved to a folder that has none or removed, and folders still without one
+// get a new copy. Returns the IDs of the copies.
+async function placeChromeCopies(rootFolderId, copies, folderPaths, details, bookmarks = chrome.bookmarks) {
+  const missing = folderPaths.filter((path) => !copies.some((copy) => copy.folderPath === path));
+  const ids = [];
+  for (const copy of copies) {
+    if (folderPaths.includes(copy.folderPath)) {
+      ids.push(copy.id);
+    } else if (missing.length > 0) {
+      const parentId = await ensureFolderPath(rootFolderId, missing.shift(), bookmarks);
+      await bookmarks.move(copy.id, { parentId });
+      ids.push(copy.id);
+    } else {
+      await bookmarks.remove(copy.id);
+    }
+  }
+  ids.push(...await createChromeCopies(rootFolderId, missing, details, bookmarks));
+  return ids;
+}
+
+// The Chrome side of a mapped bookmark from its existing copies. A title or URL edited in
+// any copy counts as the change; folderPaths are the folders holding a copy, leaving out
+// folders in problems (see folderPathProblems).
+function chromeVersionOf(copies, synced, urlNormalization, problems) {
+  const pick = (field) => (copies.find((copy) => !sameField(field, copy[field], synced[field], urlNormalization)) || copies[0])[field];
+  const placed = copies.filter((copy) => !problems.has(copy.folderPath));
+  return {
+    url: pick("url"),
+    title: pick("title"),
+    folderPaths: placed.length > 0 ? canonicalPaths(placed.map((copy) => copy.folderPath)) : synced.folderPaths,
+  };
+}
+
+// ===================== Two-Way Folder Layout =====================
+
+// The layout of a two-way folder, carried to other devices in the pair's config bookmark:
+// each folder's children in order, { title, children } for subfolders (empty ones too)
+// and { url } for bookmarks
+async function readFolderLayout(folderId, bookmarks = chrome.bookmarks) {
+  const layout = [];
+  for (const child of await bookmarks.getChildren(folderId)) {
+    layout.push(child.url ? { url: child.url } : { title: child.title, children: await readFolderLayout(child.id, bookmarks) });
+  }
+  return layout;
+}
+
+// Arrange a Chrome folder after a saved layout: missing folders are created, so empty ones
+// come back, and folders and bookmarks are put in the saved order. Children the layout
+// doesn't list stay after the listed ones. With previous (the layout at the last sync),
+// empty folders it had that the saved layout no longer has were deleted elsewhere and go.
+async function applyFolderLayout(folderId, layout, urlKey, bookmarks = chrome.bookmarks, previous = null) {
+  const children = await bookmarks.getChildren(folderId);
+  const used = new Set();
+  const orderedIds = [];
+  for (const node of layout) {
+    let match;
+    if (node.url) {
+      match = children.find((c) => c.url && !used.has(c.id) && urlKey(c.url) === urlKey(node.url));
+    } else {
+      match = children.find((c) => !c.url && !used.has(c.id) && c.title === node.title) ||
+        await bookmarks.create({ parentId: folderId, title: node.title });
+      const before = previous && previous.find((n) => !n.url && n.title === node.title);
+      await applyFolderLayout(match.id, node.children, urlKey, bookmarks, previous && (before ? before.children : []));
+    }
+    if (match) {
+      used.add(match.id);
+      orderedIds.push(match.id);
+    }
+  }
+  if (previous) {
+    for (const child of children) {
+      if (child.url || used.has(child.id)) continue;
+      const known = previous.some((n) => !n.url && n.title === child.title);
+      if (known && (await bookmarks.getChildren(child.id)).length === 0) await bookmarks.remove(child.id);
+    }
+  }
+  // All children are listed in one ordered run, folders and bookmarks mixed
+  await orderChildren(folderId, [], orderedIds, bookmarks);
+}
+
+// Folders ("path/") and bookmarks ("path|url") of a layout, in order
+function flattenLayout(layout, urlKey, path = "") {
+  return layout.flatMap((node) => node.url
+    ? [`${path}|${urlKey(node.url)}`]
+    : [`${path}${node.title}/`, ...flattenLayout(node.children, urlKey, `${path}${node.title}/`)]);
+}
+
+// Whether a layout was rearranged: folders added or removed, or the bookmarks and folders
+// both layouts have put in a different order. Bookmarks added, removed or moved to
+// another folder are left to the bookmark sync and don't count.
+function layoutRearranged(before, after, urlKey) {
+  const a = flattenLayout(before, urlKey);
+  const b = flattenLayout(after, urlKey);
+  const folders = (list) => list.filter((e) => e.endsWith("/")).sort().join("\n");
+  if (folders(a) !== folders(b)) return true;
+  const common = (list, other) => list.filter((e) => other.includes(e)).join("\n");
+  return common(a, b) !== common(b, a);
+}
+
+// Bookmark URLs of a layout in order, the config's "order" list read by the one-way
+// download's "config" sort and by older versions
+function layoutOrder(layout) {
+  return layout.flatMap((node) => (node.url ? [node.url] : layoutOrder(node.children)));
+}
+
+// The layout the pair had at its last sync, to tell which side rearranged since
+async function getSyncedLayout(profileId, pairId) {
+  const key = pairStorageKey("twoWayLayout", profileId, pairId);
+  const { [key]: layout } = await chrome.storage.local.get({ [key]: null });
+  return layout;
+}
+
+async function setSyncedLayout(profileId, pairId, layout) {
+  await chrome.storage.local.set({ [pairStorageKey("twoWayLayout", profileId, pairId)]: layout });
+}
+
 // Check if a bookmark node is anywhere inside the two-way sync folder tree
 async function isInsideTwoWayFolder(nodeId, twoWaySyncFolderId) {
   let currentId = nodeId;
@@ -437,10 +2098,14 @@ async function isInsideTwoWayFolder(nodeId, twoWaySyncFolderId) {
   return false;
 }
 
-async function runInitialTwoWaySync(mode, onProgress) {
+async function runInitialTwoWaySync(profileId, pairId, mode, onProgress, { dryRun = false } = {}) {
   const log = onProgress || (() => { });
-  const settings = await getSettings();
-  const { url: baseUrl, token, twoWaySyncTag, twoWaySyncFolderId } = settings;
+  const changeSet = createChangeSet({ dryRun });
+  const { apiConcurrency } = await getSettings();
+  const profile = await getProfile(profileId);
+  const { url: baseUrl, token, urlNormalization } = profile;
+  const { tag: twoWaySyncTag, folderId: twoWaySyncFolderId } = findPair(profile, pairId);
+  const configUrl = configUrlFor(profileId, pairId);
 
   if (!baseUrl || !token) throw new Error("Missing URL or API token.");
   if (!twoWaySyncFolderId) throw new Error("No two-way sync folder selected.");
@@ -452,17 +2117,31 @@ async function runInitialTwoWaySync(mode, onProgress) {
     throw new Error("Selected two-way sync folder no longer exists.");
   }
 
+  // Initial sync always starts from a complete fetch
   log("fetching", "Fetching tagged bookmarks from Linkding...");
-  const ldBookmarks = await fetchBookmarksWithTag(baseUrl, token, twoWaySyncTag);
+  const ldBookmarks = filterByTag(await getCachedBookmarks(profileId, baseUrl, token, { full: true, dryRun }), twoWaySyncTag);
 
   log("reading", "Reading Chrome bookmarks (including subfolders)...");
-  const chromeBookmarks = await getChromeBookmarksRecursive(twoWaySyncFolderId, "");
-
-  // Build URL indexes
+  const allChromeBookmarks = await getChromeBookmarksRecursive(twoWaySyncFolderId, "", changeSet.bookmarks);
+
+  // Leave out bookmarks in folders that can't be stored as a path tag. Pull replaces the
+  // folder's contents, so there nothing is left out.
+  const problems = mode === "pull" ? new Map() : folderPathProblems(twoWaySyncTag, allChromeBookmarks.map((bm) => bm.folderPath));
+  const warnings = [...problems].map(([path, reason]) => folderPathWarning(path, reason));
+  warnings.forEach((warning) => log("syncing", warning));
+  const chromeBookmarks = allChromeBookmarks.filter((bm) => !problems.has(bm.folderPath));
+
+  // Build URL indexes, keyed by normalized URL. A URL can be in several Chrome folders;
+  // its copies are paired with one Linkding bookmark that has a path tag per folder.
+  const urlKey = (url) => normalizeUrl(url, urlNormalization);
   const ldByUrl = new Map();
-  for (const bm of ldBookmarks) ldByUrl.set(bm.url, bm);
+  for (const bm of ldBookmarks) ldByUrl.set(urlKey(bm.url), bm);
   const chromeByUrl = new Map();
-  for (const bm of chromeBookmarks) chromeByUrl.set(bm.url, bm);
+  for (const bm of chromeBookmarks) {
+    const key = urlKey(bm.url);
+    if (!chromeByUrl.has(key)) chromeByUrl.set(key, []);
+    chromeByUrl.get(key).push(bm);
+  }
 
   const mapping = {};
   let added = 0, updated = 0, downloaded = 0;
@@ -471,91 +2150,92 @@ async function runInitialTwoWaySync(mode, onProgress) {
     log("syncing", "Pushing Chrome bookmarks to Linkding...");
 
     let processed = 0;
+    const chromeGroups = [...chromeByUrl.values()];
 
-    await processSerial(chromeBookmarks, async (cbm) => {
-      const tags = buildTagsForPath(twoWaySyncTag, cbm.folderPath);
+    await processConcurrently(chromeGroups, async (copies) => {
+      const [cbm] = copies;
+      const folderPaths = canonicalPaths(copies.map((copy) => copy.folderPath));
+      const tags = buildTagsForPaths(twoWaySyncTag, folderPaths);
 
-      if (ldByUrl.has(cbm.url)) {
+      if (ldByUrl.has(urlKey(cbm.url))) {
         // Link exists — just update mappings
-        const ld = ldByUrl.get(cbm.url);
+        const ld = ldByUrl.get(urlKey(cbm.url));
         // We might want to sync tags here too? The original code updated tags in Linkding.
         const mergedTags = [...new Set([...ld.tag_names, ...tags])];
         if (mergedTags.length !== ld.tag_names.length || !mergedTags.every(t => ld.tag_names.includes(t))) {
-          await updateLinkdingBookmark(baseUrl, token, ld.id, {
-            url: ld.url,
-            title: ld.title,
-            tag_names: mergedTags,
-          });
+          await changeSet.linkding("update", { url: ld.url, title: ld.title, tags: mergedTags, before: ld }, () =>
+            updateLinkdingBookmark(baseUrl, token, ld.id, {
+              url: ld.url,
+              title: ld.title,
+              tag_names: mergedTags,
+            }));
         }
 
-        mapping[cbm.url] = {
+        mapping[ld.id] = {
           linkdingId: ld.id,
-          chromeId: cbm.id,
+          chromeIds: copies.map((copy) => copy.id),
           title: cbm.title,
           url: cbm.url,
-          folderPath: cbm.folderPath,
+          folderPaths,
           lastSynced: Date.now(),
         };
         updated++;
       } else {
         // Upload to Linkding
-        const created = await createLinkdingBookmark(baseUrl, token, {
-          url: cbm.url,
-          title: cbm.title,
-          tagNames: tags,
-        });
-        mapping[cbm.url] = {
+        const created = await changeSet.linkding("create", { url: cbm.url, title: cbm.title, tags }, () =>
+          createLinkdingBookmark(baseUrl, token, {
+            url: cbm.url,
+            title: cbm.title,
+            tagNames: tags,
+          }));
+        mapping[created.id] = {
           linkdingId: created.id,
-          chromeId: cbm.id,
+          chromeIds: copies.map((copy) => copy.id),
           title: cbm.title,
           url: cbm.url,
-          folderPath: cbm.folderPath,
+          folderPaths,
           lastSynced: Date.now(),
         };
         added++;
       }
       processed++;
       if (processed % 10 === 0) {
-        log("syncing", `Pushed ${processed} of ${chromeBookmarks.length}...`);
+        log("syncing", `Pushed ${processed} of ${chromeGroups.length}...`);
       }
-    });
+    }, apiConcurrency);
   } else if (mode === "pull") {
     log("syncing", "Pulling Linkding bookmarks to Chrome...");
 
     // Fetch config and sort ldBookmarks if order exists
-    const configResult = await fetchConfig(baseUrl, token);
+    const configResult = await fetchConfig(baseUrl, token, configUrl);
     const config = configResult ? configResult.data : null;
     if (config && Array.isArray(config.order)) {
       const orderMap = new Map();
-      config.order.forEach((u, i) => orderMap.set(u, i));
+      config.order.forEach((u, i) => orderMap.set(urlKey(u), i));
       ldBookmarks.sort((a, b) => {
-        const idxA = orderMap.has(a.url) ? orderMap.get(a.url) : Number.MAX_SAFE_INTEGER;
-        const idxB = orderMap.has(b.url) ? orderMap.get(b.url) : Number.MAX_SAFE_INTEGER;
+        const idxA = orderMap.has(urlKey(a.url)) ? orderMap.get(urlKey(a.url)) : Number.MAX_SAFE_INTEGER;
+        const idxB = orderMap.has(urlKey(b.url)) ? orderMap.get(urlKey(b.url)) : Number.MAX_SAFE_INTEGER;
         return idxA - idxB;
       });
     }
 
     // Clear existing bookmarks and subfolders
-    await removeChildrenOf(twoWaySyncFolderId);
+    await removeChildrenOf(twoWaySyncFolderId, changeSet.bookmarks);
 
     let processed = 0;
 
-    await processSerial(ldBookmarks, async (ld) => {
-      const folderPath = extractFolderPath(twoWaySyncTag, ld.tag_names);
-      const parentId = await ensureFolderPath(twoWaySyncFolderId, folderPath);
-
+    // One at a time, so the bookmarks are created in order
+    await processConcurrently(ldBookmarks, async (ld) => {
+      // One copy in each folder the bookmark has a path tag for
+      const folderPaths = extractFolderPaths(twoWaySyncTag, ld.tag_names);
       const title = ld.title || ld.url;
-      const created = await chrome.bookmarks.create({
-        parentId,
-        title: title,
-        url: ld.url,
-      });
-      mapping[ld.url] = {
+      const chromeIds = await createChromeCopies(twoWaySyncFolderId, folderPaths, { title, url: ld.url }, changeSet.bookmarks);
+      mapping[ld.id] = {
         linkdingId: ld.id,
-        chromeId: created.id,
+        chromeIds,
         title: title,
         url: ld.url,
-        folderPath,
+        folderPaths,
         lastSynced: Date.now(),
       };
       processed++;
@@ -563,119 +2243,143 @@ async function runInitialTwoWaySync(mode, onProgress) {
       if (processed % 10 === 0) {
         log("syncing", `Pulled ${processed} of ${ldBookmarks.length}...`);
       }
-    });
+    }, 1);
+
+    // Rebuild the saved layout, empty folders and folder order included
+    if (config && Array.isArray(config.layout)) {
+      await applyFolderLayout(twoWaySyncFolderId, config.layout, urlKey, changeSet.bookmarks);
+    }
   } else if (mode === "merge") {
     log("syncing", "Merging bookmarks...");
     // Sort URLs based on config to ensure creation/processing order mimics desired order
     // (This helps mostly with creation of new items)
-    let sortedUrls = [...new Set([...ldByUrl.keys(), ...chromeByUrl.keys()])];
+    let sortedKeys = [...new Set([...ldByUrl.keys(), ...chromeByUrl.keys()])];
 
     // Fetch config for sorting and later comparison
-    const configResult = await fetchConfig(baseUrl, token);
+    const configResult = await fetchConfig(baseUrl, token, configUrl);
     const config = configResult ? configResult.data : null;
     const existingOrder = config && Array.isArray(config.order) ? config.order : [];
 
     if (existingOrder.length > 0) {
       const orderMap = new Map();
-      existingOrder.forEach((u, i) => orderMap.set(u, i));
-      sortedUrls.sort((a, b) => {
+      existingOrder.forEach((u, i) => orderMap.set(urlKey(u), i));
+      sortedKeys.sort((a, b) => {
         const idxA = orderMap.has(a) ? orderMap.get(a) : Number.MAX_SAFE_INTEGER;
         const idxB = orderMap.has(b) ? orderMap.get(b) : Number.MAX_SAFE_INTEGER;
         return idxA - idxB;
       });
     }
 
-    for (const url of sortedUrls) {
-      const inLd = ldByUrl.has(url);
-      const inChrome = chromeByUrl.has(url);
+    for (const key of sortedKeys) {
+      const inLd = ldByUrl.has(key);
+      const inChrome = chromeByUrl.has(key);
 
       if (inLd && inChrome) {
-        // In both — link them, keep newer title, sync folder path
-        const ld = ldByUrl.get(url);
-        const cbm = chromeByUrl.get(url);
+        // In both — link them, keep newer title, combine the folders of both sides
+        const ld = ldByUrl.get(key);
+        const copies = chromeByUrl.get(key);
+        const [cbm] = copies;
+        const { url } = cbm;
         const ldDate = ld.date_modified ? new Date(ld.date_modified).getTime() : 0;
         const chromeDate = cbm.dateAdded || 0;
 
         // If Linkding is newer, use its title
         const title = ldDate > chromeDate ? (ld.title || ld.url) : cbm.title;
 
-        if (title !== cbm.title) {
-          await chrome.bookmarks.update(cbm.id, { title });
+        for (const copy of copies) {
+          if (title !== copy.title) await changeSet.bookmarks.update(copy.id, { title });
         }
-        // Update Linkding tags to include folder path from Chrome
-        const tags = buildTagsForPath(twoWaySyncTag, cbm.folderPath);
-        const mergedTags = [...new Set([...ld.tag_names, ...tags])];
+        // Copy the bookmark into the folders only Linkding has, and tag it with the
+        // folders only Chrome has
+        const folderPaths = canonicalPaths([
+          ...copies.map((copy) => copy.folderPath),
+          ...extractFolderPaths(twoWaySyncTag, ld.tag_names),
+        ]);
+        const chromeIds = await placeChromeCopies(twoWaySyncFolderId, copies, folderPaths, { title, url }, changeSet.bookmarks);
+        const mergedTags = [...buildTagsForPaths(twoWaySyncTag, folderPaths), ...withoutSyncTags(twoWaySyncTag, ld.tag_names)];
         if (mergedTags.length !== ld.tag_names.length || !mergedTags.every(t => ld.tag_names.includes(t))) {
-          await updateLinkdingBookmark(baseUrl, token, ld.id, {
-            url: ld.url,
-            title: title,
-            tag_names: mergedTags,
-          });
+          await changeSet.linkding("update", { url: ld.url, title, tags: mergedTags, before: ld }, () =>
+            updateLinkdingBookmark(baseUrl, token, ld.id, {
+              url: ld.url,
+              title: title,
+              tag_names: mergedTags,
+            }));
         }
-        mapping[url] = {
+        mapping[ld.id] = {
           linkdingId: ld.id,
-          chromeId: cbm.id,
+          chromeIds,
           title,
           url,
-          folderPath: cbm.folderPath,
+          folderPaths,
           lastSynced: Date.now(),
         };
         updated++;
       } else if (inChrome && !inLd) {
-        // Only in Chrome — upload to Linkding with folder path tag
-        const cbm = chromeByUrl.get(url);
-        const tags = buildTagsForPath(twoWaySyncTag, cbm.folderPath);
-        const created = await createLinkdingBookmark(baseUrl, token, {
-          url: cbm.url,
-          title: cbm.title,
-          tagNames: tags,
-        });
-        mapping[url] = {
+        // Only in Chrome — upload to Linkding with a path tag per folder
+        const copies = chromeByUrl.get(key);
+        const [cbm] = copies;
+        const { url } = cbm;
+        const folderPaths = canonicalPaths(copies.map((copy) => copy.folderPath));
+        const tags = buildTagsForPaths(twoWaySyncTag, folderPaths);
+        const created = await changeSet.linkding("create", { url: cbm.url, title: cbm.title, tags }, () =>
+          createLinkdingBookmark(baseUrl, token, {
+            url: cbm.url,
+            title: cbm.title,
+            tagNames: tags,
+          }));
+        mapping[created.id] = {
           linkdingId: created.id,
-          chromeId: cbm.id,
+          chromeIds: copies.map((copy) => copy.id),
           title: cbm.title,
           url,
-          folderPath: cbm.folderPath,
+          folderPaths,
           lastSynced: Date.now(),
         };
         added++;
       } else if (inLd && !inChrome) {
-        // Only in Linkding — download to Chrome in correct subfolder
-        const ld = ldByUrl.get(url);
-        const folderPath = extractFolderPath(twoWaySyncTag, ld.tag_names);
-        const parentId = await ensureFolderPath(twoWaySyncFolderId, folderPath);
-        const created = await chrome.bookmarks.create({
-          parentId,
-          title: ld.title || ld.url,
-          url: ld.url,
-        });
-        mapping[url] = {
+        // Only in Linkding — download to Chrome in correct subfolders
+        const ld = ldByUrl.get(key);
+        const { url } = ld;
+        const folderPaths = extractFolderPaths(twoWaySyncTag, ld.tag_names);
+        const title = ld.title || ld.url;
+        const chromeIds = await createChromeCopies(twoWaySyncFolderId, folderPaths, { title, url }, changeSet.bookmarks);
+        mapping[ld.id] = {
           linkdingId: ld.id,
-          chromeId: created.id,
-          title: ld.title || ld.url,
+          chromeIds,
+          title,
           url,
-          folderPath,
+          folderPaths,
           lastSynced: Date.now(),
         };
         downloaded++;
       }
     }
+
+    if (config && Array.isArray(config.layout)) {
+      await applyFolderLayout(twoWaySyncFolderId, config.layout, urlKey, changeSet.bookmarks);
+    }
   }
 
-  await setMapping(mapping);
-  await chrome.storage.sync.set({
-    twoWayInitialSyncDone: true,
-    twoWayLastSyncTime: Date.now(),
-  });
+  if (dryRun) {
+    return { added, updated, downloaded, total: Object.keys(mapping).length, warnings, changes: changeSet.changes };
+  }
+
+  await setMapping(profileId, pairId, mapping);
+  await setConflicts(profileId, pairId, {}); // Held conflicts and deletions refer to the old pairing
+  await chrome.storage.local.remove([
+    pairStorageKey("pendingDeletions", profileId, pairId),
+    pairStorageKey("twoWayJournal", profileId, pairId),
+  ]);
+  await clearOutbox(profileId, pairId);
+  await setPairState(profileId, pairId, { initialSyncDone: true, lastSyncTime: Date.now(), pathTagsEscaped: true, warnings });
 
   // Force-create config bookmark so it exists immediately
   let configError = null;
   try {
     log("syncing", "Creating/Updating Linkding Sync Config...");
-    const finalChromeBookmarks = await getChromeBookmarksRecursive(twoWaySyncFolderId, "");
-    const newOrder = finalChromeBookmarks.map(bm => bm.url);
+    const layout = await readFolderLayout(twoWaySyncFolderId);
 
-    const existingConfig = await fetchConfig(baseUrl, token);
+    const existingConfig = await fetchConfig(baseUrl, token, configUrl);
     const configId = existingConfig ? existingConfig.id : null;
     if (configId) {
       log("syncing", `Found existing config (ID: ${configId}). Updating...`);
@@ -683,7 +2387,8 @@ async function runInitialTwoWaySync(mode, onProgress) {
       log("syncing", "No existing config found. Creating new...");
     }
 
-    await saveConfig(baseUrl, token, { order: newOrder }, configId);
+    await saveConfig(baseUrl, token, { order: layoutOrder(layout), layout }, configId, configUrl);
+    await setSyncedLayout(profileId, pairId, layout);
     log("syncing", "Config bookmark operation complete.");
   } catch (e) {
     console.error("Failed to create/update initial config", e);
@@ -691,239 +2396,842 @@ async function runInitialTwoWaySync(mode, onProgress) {
     configError = e.message;
   }
 
-  return { added, updated, downloaded, total: Object.keys(mapping).length, configError };
+  return { added, updated, downloaded, total: Object.keys(mapping).length, configError, warnings, changes: changeSet.changes };
 }
 
-async function runTwoWaySync(onProgress) {
+// Fields kept in step between a Chrome bookmark's copies and its Linkding bookmark
+const TWO_WAY_FIELDS = ["url", "title", "folderPaths"];
+
+// Sync every folder/tag pair of the profile that finished its initial sync, or only pairId.
+// With approveDeletions set, deletions held by the mass-deletion guard go ahead.
+async function runTwoWaySync(profileId, onProgress, { dryRun = false, pairId = null, approveDeletions = false } = {}) {
   const log = onProgress || (() => { });
-  const settings = await getSettings();
-  const { url: baseUrl, token, twoWayEnabled, twoWaySyncTag, twoWaySyncFolderId, twoWayInitialSyncDone } = settings;
+  const changeSet = createChangeSet({ dryRun });
+  const profile = await getProfile(profileId);
+  const { url: baseUrl, token, twoWayEnabled } = profile;
+  const state = await getProfileState(profileId);
+  const pairs = pairId ? [findPair(profile, pairId)] : profile.twoWayPairs.filter((pair) => pair.folderId);
 
   if (!twoWayEnabled) throw new Error("Two-way sync is not enabled.");
   if (!baseUrl || !token) throw new Error("Missing URL or API token.");
-  if (!twoWaySyncFolderId) throw new Error("No two-way sync folder selected.");
-  if (!twoWayInitialSyncDone) throw new Error("Initial sync has not been completed yet.");
+  if (pairs.length === 0 || pairs.some((pair) => !pair.folderId)) throw new Error("No two-way sync folder selected.");
+  const readyPairs = pairs.filter((pair) => getPairState(state, pair.id).initialSyncDone);
+  if (readyPairs.length === 0) throw new Error("Initial sync has not been completed yet.");
+
+  // Queued writes go first, since the mapping already counts them as synced
+  const flushed = dryRun ? { queued: (await getOutbox(profileId)).items.length, changes: [] } : await flushOutbox(profileId, log);
+  if (flushed.queued > 0) throw new Error(`Linkding is unreachable, ${flushed.queued} change(s) are waiting to be sent.`);
+
+  log("fetching", "Fetching tagged bookmarks from Linkding...");
+  const allBookmarks = await getCachedBookmarks(profileId, baseUrl, token, { dryRun });
+
+  const totals = { added: 0, removed: 0, updated: 0, total: 0, conflicts: 0, held: 0 };
+  const warnings = [];
+  const unsent = { items: [], error: null }; // Linkding writes left for the outbox
+  for (const pair of readyPairs) {
+    const result = await runTwoWayPairSync(profile, pair, allBookmarks, changeSet, log, approveDeletions, unsent);
+    for (const key of Object.keys(totals)) totals[key] += result[key];
+    warnings.push(...result.warnings);
+  }
+  if (unsent.items.length > 0) {
+    await queueUnsentWrites(profileId, unsent.items, unsent.error);
+    log("syncing", `Linkding is unreachable, ${unsent.items.length} change(s) queued: ${unsent.error.message}`);
+  }
+  if (!dryRun && totals.conflicts > 0) log("syncing", `${totals.conflicts} conflict(s) waiting for review in Options.`);
+  if (!dryRun && totals.held > 0) log("syncing", `${totals.held} deletion(s) waiting for confirmation.`);
+
+  return { ...totals, queued: unsent.items.length, warnings, changes: [...flushed.changes, ...changeSet.changes] };
+}
+
+// Sync one folder/tag pair, saving its mapping and conflicts unless the change set is a dry run.
+// Linkding writes that can't be sent are added to unsent.items for the outbox (see sendOrQueue).
+async function runTwoWayPairSync(profile, pair, allBookmarks, changeSet, log, approveDeletions, unsent) {
+  const { id: profileId, url: baseUrl, token, twoWayConflictPolicy, urlNormalization } = profile;
+  const { tag: twoWaySyncTag, folderId: twoWaySyncFolderId } = pair;
 
   // Verify folder exists
   try {
     await chrome.bookmarks.get(twoWaySyncFolderId);
   } catch {
-    throw new Error("Selected two-way sync folder no longer exists.");
+    throw new Error(`Two-way sync folder for tag "${twoWaySyncTag}" no longer exists.`);
   }
 
-  log("fetching", "Fetching tagged bookmarks from Linkding...");
-  const ldBookmarks = await fetchBookmarksWithTag(baseUrl, token, twoWaySyncTag);
-
-  log("reading", "Reading Chrome bookmarks (including subfolders)...");
-  const chromeBookmarks = await getChromeBookmarksRecursive(twoWaySyncFolderId, "");
+  const ldBookmarks = filterByTag(allBookmarks, twoWaySyncTag);
 
-  const mapping = await getMapping();
+  // Journal entries and edit times up to here are covered by the comparison
+  const startedAt = Date.now();
+  const journalLength = (await getJournal(profileId, pair.id)).length;
 
-  // Build URL indexes
+  log("reading", "Reading Chrome bookmarks (including subfolders)...");
+  const chromeBookmarks = await getChromeBookmarksRecursive(twoWaySyncFolderId, "", changeSet.bookmarks);
+  // Read before the bookmark changes below, to tell whether the user rearranged the folder
+  const chromeLayout = await readFolderLayout(twoWaySyncFolderId, changeSet.bookmarks);
+
+  // Bookmarks in folders that can't be stored as a path tag aren't uploaded, and their
+  // folder isn't taken as a move
+  const problems = folderPathProblems(twoWaySyncTag, chromeBookmarks.map((bm) => bm.folderPath));
+  const warnings = [...problems].map(([path, reason]) => folderPathWarning(path, reason));
+  warnings.forEach((warning) => log("syncing", warning));
+
+  const mapping = await getMapping(profileId, pair.id, { dryRun: changeSet.dryRun });
+  // Path tags from before folder names were escaped may have been mangled by Linkding.
+  // On the first sync since, Chrome's folders are kept and the tags rewritten.
+  const migratingPathTags = !getPairState(await getProfileState(profileId), pair.id).pathTagsEscaped;
+
+  // Build ID and URL indexes, keyed by normalized URL. A URL can be in several Chrome
+  // folders; its copies are paired with one Linkding bookmark that has a path tag per folder.
+  const urlKey = (url) => normalizeUrl(url, urlNormalization);
+  const same = (field, a, b) => sameField(field, a, b, urlNormalization);
+  const ldById = new Map();
   const ldByUrl = new Map();
-  for (const bm of ldBookmarks) ldByUrl.set(bm.url, bm);
+  for (const bm of ldBookmarks) {
+    ldById.set(bm.id, bm);
+    ldByUrl.set(urlKey(bm.url), bm);
+  }
+  const chromeById = new Map();
   const chromeByUrl = new Map();
-  for (const bm of chromeBookmarks) chromeByUrl.set(bm.url, bm);
+  for (const bm of chromeBookmarks) {
+    chromeById.set(bm.id, bm);
+    const key = urlKey(bm.url);
+    if (!chromeByUrl.has(key)) chromeByUrl.set(key, []);
+    chromeByUrl.get(key).push(bm);
+  }
+  const mappingByChromeId = new Map();
+  for (const entry of Object.values(mapping)) {
+    for (const chromeId of entry.chromeIds) mappingByChromeId.set(chromeId, entry);
+  }
+  const previousConflicts = await getConflicts(profileId, pair.id);
+  const chromeEdits = await getChromeEdits(profileId, pair.id);
 
   const newMapping = {};
+  const newConflicts = {};
+  const deletions = []; // { entry, target, title, url, ld }, carried out after the comparison
+  const deletedLinkdingIds = [];
+  const removedFromLinkding = []; // For the "Recently removed" list
   let added = 0, removed = 0, updated = 0;
 
+  // Run a Linkding write, or, once Linkding can't be reached, queue it as the outbox item
+  // that makes it (see sendOutbox()) and return null. The bookmark's mapping entry stays as
+  // last synced, so the outbox won't overwrite a Linkding edit made since.
+  const sendOrQueue = async (item, write) => {
+    if (!unsent.error) {
+      try {
+        return await write();
+      } catch (err) {
+        if (!isUnreachableError(err)) throw err;
+        unsent.error = err;
+      }
+    }
+    unsent.items.push({ pairId: pair.id, ...item });
+    return null;
+  };
+
+  // Under "ask", hold the bookmark untouched (still paired) until the user decides
+  const holdConflict = (entry, kind, chromeVersion, ldVersion, ld) => {
+    const previous = previousConflicts[entry.linkdingId];
+    newConflicts[entry.linkdingId] = {
+      linkdingId: entry.linkdingId,
+      chromeIds: entry.chromeIds,
+      kind,
+      chrome: chromeVersion,
+      linkding: ldVersion,
+      synced: { url: entry.url, title: entry.title, folderPaths: entry.folderPaths },
+      linkdingModified: ld ? new Date(ld.date_modified).getTime() : null,
+      detectedAt: previous ? previous.detectedAt : Date.now(),
+    };
+    newMapping[entry.linkdingId] = entry;
+  };
+
   log("syncing", "Comparing bookmarks...");
 
-  // 1. URLs in Chrome but not in mapping → new in Chrome → POST to Linkding
+  // 1. Chrome bookmarks not in mapping → new in Chrome → POST to Linkding. Copies of a
+  // new URL in several folders become one Linkding bookmark.
+  const newInChrome = new Map(); // normalized URL → copies
   for (const cbm of chromeBookmarks) {
-    if (!mapping[cbm.url]) {
-      const tags = buildTagsForPath(twoWaySyncTag, cbm.folderPath);
-      if (!ldByUrl.has(cbm.url)) {
-        const created = await createLinkdingBookmark(baseUrl, token, {
-          url: cbm.url,
-          title: cbm.title,
-          tagNames: tags,
-        });
-        newMapping[cbm.url] = {
-          linkdingId: created.id,
-          chromeId: cbm.id,
-          title: cbm.title,
-          url: cbm.url,
-          folderPath: cbm.folderPath,
-          lastSynced: Date.now(),
-        };
-        added++;
-      } else {
-        // URL already exists in Linkding — link them, update path tags
-        const ld = ldByUrl.get(cbm.url);
-        const mergedTags = [...new Set([...ld.tag_names, ...tags])];
-        if (mergedTags.length !== ld.tag_names.length || !mergedTags.every(t => ld.tag_names.includes(t))) {
-          await updateLinkdingBookmark(baseUrl, token, ld.id, {
-            url: ld.url,
-            title: ld.title,
-            tag_names: mergedTags,
-          });
+    if (mappingByChromeId.has(cbm.id)) continue;
+    if (problems.has(cbm.folderPath)) continue;
+    const ld = ldByUrl.get(urlKey(cbm.url));
+    const entry = ld && mapping[ld.id];
+    if (entry) {
+      // The Linkding side is already paired, so this is another copy of it, or the same
+      // bookmark re-created (e.g. an undone delete). It joins the pairing; a copy in a new
+      // folder is then synced like a folder change.
+      entry.chromeIds = [...entry.chromeIds, cbm.id];
+      mappingByChromeId.set(cbm.id, entry);
+      continue;
+    }
+    if (!newInChrome.has(urlKey(cbm.url))) newInChrome.set(urlKey(cbm.url), []);
+    newInChrome.get(urlKey(cbm.url)).push(cbm);
+  }
+  for (const [key, copies] of newInChrome) {
+    const { title, url } = copies[0];
+    const folderPaths = canonicalPaths(copies.map((copy) => copy.folderPath));
+    const tags = buildTagsForPaths(twoWaySyncTag, folderPaths);
+    // Uploaded from the outbox, which pairs the copies once it's sent
+    const upload = { action: "create", title, url, folderPaths, chromeIds: copies.map((copy) => copy.id) };
+    const ld = ldByUrl.get(key);
+    let linkdingId = null;
+    if (ld) {
+      // URL already exists in Linkding — link them, update path tags
+      linkdingId = ld.id;
+      const mergedTags = [...new Set([...ld.tag_names, ...tags])];
+      if (mergedTags.length !== ld.tag_names.length || !mergedTags.every(t => ld.tag_names.includes(t))) {
+        try {
+          const merged = await sendOrQueue(upload, () =>
+            changeSet.linkding("update", { url: ld.url, title: ld.title, tags: mergedTags, before: ld }, () =>
+              updateLinkdingBookmark(baseUrl, token, ld.id, {
+                url: ld.url,
+                title: ld.title,
+                tag_names: mergedTags,
+              })));
+          if (!merged) continue;
+        } catch (err) {
+          // Deleted in Linkding since the bookmark list was cached, so it's uploaded as new
+          if (!isNotFoundError(err)) throw err;
+          deletedLinkdingIds.push(ld.id);
+          linkdingId = null;
         }
-        newMapping[cbm.url] = {
-          linkdingId: ld.id,
-          chromeId: cbm.id,
-          title: cbm.title,
-          url: cbm.url,
-          folderPath: cbm.folderPath,
-          lastSynced: Date.now(),
-        };
       }
     }
+    if (!linkdingId) {
+      const created = await sendOrQueue(upload, () =>
+        changeSet.linkding("create", { url, title, tags }, () =>
+          createLinkdingBookmark(baseUrl, token, {
+            url,
+            title,
+            tagNames: tags,
+          })));
+      if (!created) continue;
+      linkdingId = created.id;
+      added++;
+    }
+    newMapping[linkdingId] = {
+      linkdingId,
+      chromeIds: copies.map((copy) => copy.id),
+      title,
+      url,
+      folderPaths,
+      lastSynced: Date.now(),
+    };
   }
 
-  // 2. URLs in Linkding but not in mapping → new in Linkding → create in Chrome
+  // 2. Linkding bookmarks not in mapping → new in Linkding → create in Chrome, one copy
+  // per path tag
   for (const ld of ldBookmarks) {
-    if (!mapping[ld.url] && !chromeByUrl.has(ld.url)) {
-      const folderPath = extractFolderPath(twoWaySyncTag, ld.tag_names);
-      const parentId = await ensureFolderPath(twoWaySyncFolderId, folderPath);
-      const created = await chrome.bookmarks.create({
-        parentId,
-        title: ld.title || ld.url,
-        url: ld.url,
-      });
-      newMapping[ld.url] = {
-        linkdingId: ld.id,
-        chromeId: created.id,
-        title: ld.title || ld.url,
-        url: ld.url,
-        folderPath,
-        lastSynced: Date.now(),
-      };
-      added++;
+    if (mapping[ld.id] || newMapping[ld.id]) continue;
+    const copies = chromeByUrl.get(urlKey(ld.url));
+    if (copies) {
+      // The Chrome side is already paired. If its Linkding bookmark is gone, this is the
+      // same bookmark re-created in Linkding, so it takes over the pairing.
+      const entry = mappingByChromeId.get(copies[0].id);
+      if (entry && !ldById.has(entry.linkdingId)) {
+        delete mapping[entry.linkdingId];
+        entry.linkdingId = ld.id;
+        mapping[ld.id] = entry;
+      }
+      continue;
     }
+    const folderPaths = extractFolderPaths(twoWaySyncTag, ld.tag_names);
+    const title = ld.title || ld.url;
+    const chromeIds = await createChromeCopies(twoWaySyncFolderId, folderPaths, { title, url: ld.url }, changeSet.bookmarks);
+    newMapping[ld.id] = {
+      linkdingId: ld.id,
+      chromeIds,
+      title,
+      url: ld.url,
+      folderPaths,
+      lastSynced: Date.now(),
+    };
+    added++;
   }
 
-  // 3. Process mapped entries
-  for (const [url, entry] of Object.entries(mapping)) {
-    const inChrome = chromeByUrl.has(url);
-    const inLd = ldByUrl.has(url);
+  // 3. Process mapped entries. The Chrome side only counts as deleted once every copy is gone.
+  for (const entry of Object.values(mapping)) {
+    const copies = entry.chromeIds.map((id) => chromeById.get(id)).filter(Boolean);
+    const ld = ldById.get(entry.linkdingId);
+    const synced = { url: entry.url, title: entry.title, folderPaths: canonicalPaths(entry.folderPaths.map(normalizeFolderPath)) };
+    const chromeVersion = copies.length > 0 ? chromeVersionOf(copies, synced, urlNormalization, problems) : null;
+    const ldVersion = ld && {
+      url: ld.url,
+      title: ld.title || ld.url,
+      folderPaths: extractFolderPaths(twoWaySyncTag, ld.tag_names),
+    };
+    const ldTime = ld && ld.date_modified ? new Date(ld.date_modified).getTime() : 0;
+    const chromeEditTime = Math.max(0, ...entry.chromeIds.map((id) => chromeEdits[id] || 0)) || null;
+    // A detected Chrome change happened after the last sync even if the listener missed it
+    const chromeTime = chromeEditTime || (entry.lastSynced || 0) + 1;
 
-    if (!inChrome && !inLd) {
+    if (!chromeVersion && !ld) {
       removed++;
       continue;
     }
 
-    if (!inChrome && inLd) {
-      // Deleted from Chrome → delete from Linkding
-      // Use the ID from the fresh fetch (ld.id), NOT the potentially stale mapping ID
-      const ld = ldByUrl.get(url);
-      await deleteLinkdingBookmark(baseUrl, token, ld.id);
-      removed++;
+    if (!chromeVersion && ld) {
+      // Deleted from Chrome → delete from Linkding, unless Linkding edited it since
+      if (ldTime > (entry.lastSynced || 0)) {
+        if (twoWayConflictPolicy === "ask") {
+          holdConflict(entry, "chromeDeleted", null, ldVersion, ld);
+          continue;
+        }
+        if (pickConflictWinner(twoWayConflictPolicy, ldTime, chromeEditTime) === "linkding") {
+          // The edit wins — restore the bookmark in Chrome
+          const chromeIds = await createChromeCopies(twoWaySyncFolderId, ldVersion.folderPaths, ldVersion, changeSet.bookmarks);
+          newMapping[ld.id] = { ...entry, ...ldVersion, chromeIds, lastSynced: Date.now() };
+          added++;
+          continue;
+        }
+      }
+      deletions.push({ entry, target: "linkding", title: ld.title, url: ld.url, ld });
       continue;
     }
 
-    if (inChrome && !inLd) {
-      // Deleted from Linkding → remove from Chrome
-      try {
-        await chrome.bookmarks.remove(entry.chromeId);
-      } catch {
-        // Already gone
+    if (chromeVersion && !ld) {
+      // Deleted from Linkding → remove from Chrome, unless Chrome edited it since
+      const chromeEdited = TWO_WAY_FIELDS.some((field) => !same(field, chromeVersion[field], synced[field]));
+      if (chromeEdited) {
+        if (twoWayConflictPolicy === "ask") {
+          holdConflict(entry, "linkdingDeleted", chromeVersion, null, null);
+          continue;
+        }
+        if (pickConflictWinner(twoWayConflictPolicy, null, chromeTime) === "chrome") {
+          // The edit wins — upload the bookmark to Linkding again
+          const tags = buildTagsForPaths(twoWaySyncTag, chromeVersion.folderPaths);
+          const upload = { action: "create", ...chromeVersion, chromeIds: copies.map((copy) => copy.id) };
+          const created = await sendOrQueue(upload, () =>
+            changeSet.linkding("create", { url: chromeVersion.url, title: chromeVersion.title, tags }, () =>
+              createLinkdingBookmark(baseUrl, token, {
+                url: chromeVersion.url,
+                title: chromeVersion.title,
+                tagNames: tags,
+              })));
+          if (!created) continue;
+          newMapping[created.id] = {
+            ...entry,
+            ...chromeVersion,
+            linkdingId: created.id,
+            chromeIds: copies.map((copy) => copy.id),
+            lastSynced: Date.now(),
+          };
+          added++;
+          continue;
+        }
       }
-      removed++;
+      deletions.push({ entry, target: "chrome", title: chromeVersion.title, url: chromeVersion.url });
       continue;
     }
 
-    // Both exist — check for title and folder path changes
-    const cbm = chromeByUrl.get(url);
-    const ld = ldByUrl.get(url);
-    const chromeTitle = cbm.title;
-    const ldTitle = ld.title || ld.url;
-    const chromeFolderPath = cbm.folderPath;
-    const ldFolderPath = extractFolderPath(twoWaySyncTag, ld.tag_names);
-    const mappedFolderPath = entry.folderPath || "";
+    // Path tags that aren't escaped yet are rewritten
+    let rewritePathTags = hasUnescapedPathTags(twoWaySyncTag, ld.tag_names);
+    if (migratingPathTags && !same("folderPaths", ldVersion.folderPaths, synced.folderPaths)) {
+      ldVersion.folderPaths = synced.folderPaths;
+      rewritePathTags = true;
+    }
 
+    // Both exist — compare each field with the last synced value. A side that changed
+    // wins over one that didn't; a field changed differently on both sides conflicts.
+    const final = { ...synced };
+    const conflictFields = [];
     let needsLdUpdate = false;
     let needsChromeUpdate = false;
-    let finalTitle = entry.title;
-    let finalFolderPath = mappedFolderPath;
-
-    // Title changes
-    // If Chrome changed, it wins. If Linkding changed, it wins.
-    // We compare against the *synced* title (entry.title)
-    if (chromeTitle !== entry.title && ldTitle === entry.title) {
-      finalTitle = chromeTitle;
-      needsLdUpdate = true;
-    } else if (ldTitle !== entry.title && chromeTitle === entry.title) {
-      finalTitle = ldTitle;
-      needsChromeUpdate = true;
-    } else if (ldTitle !== entry.title && chromeTitle !== entry.title) {
-      const ldDate = ld.date_modified ? new Date(ld.date_modified).getTime() : 0;
-      const mappedTime = entry.lastSynced || 0;
-      if (ldDate > mappedTime) {
-        finalTitle = ldTitle;
+    for (const field of TWO_WAY_FIELDS) {
+      if (same(field, chromeVersion[field], ldVersion[field])) {
+        final[field] = chromeVersion[field];
+      } else if (same(field, ldVersion[field], synced[field])) {
+        final[field] = chromeVersion[field];
+        needsLdUpdate = true;
+      } else if (same(field, chromeVersion[field], synced[field])) {
+        final[field] = ldVersion[field];
         needsChromeUpdate = true;
       } else {
-        finalTitle = chromeTitle;
-        needsLdUpdate = true;
+        conflictFields.push(field);
       }
     }
 
-    // Folder path changes
-    if (chromeFolderPath !== mappedFolderPath && ldFolderPath === mappedFolderPath) {
-      // Moved in Chrome → update Linkding tags
-      finalFolderPath = chromeFolderPath;
-      needsLdUpdate = true;
-    } else if (ldFolderPath !== mappedFolderPath && chromeFolderPath === mappedFolderPath) {
-      // Moved in Linkding → move in Chrome
-      finalFolderPath = ldFolderPath;
-      needsChromeUpdate = true;
-    } else if (ldFolderPath !== mappedFolderPath && chromeFolderPath !== mappedFolderPath) {
-      // Both moved — prefer Chrome (user is physically interacting with browser)
-      finalFolderPath = chromeFolderPath;
-      needsLdUpdate = true;
+    if (conflictFields.length > 0) {
+      if (twoWayConflictPolicy === "ask") {
+        holdConflict(entry, "edit", chromeVersion, ldVersion, ld);
+        continue;
+      }
+      const winner = pickConflictWinner(twoWayConflictPolicy, ldTime, chromeTime);
+      for (const field of conflictFields) {
+        final[field] = winner === "chrome" ? chromeVersion[field] : ldVersion[field];
+      }
+      if (winner === "chrome") needsLdUpdate = true;
+      else needsChromeUpdate = true;
     }
 
+    if (rewritePathTags) needsLdUpdate = true;
+
+    let ldQueued = false;
     if (needsLdUpdate) {
-      // Update Linkding: replace old path tag with new one, keep other tags
-      const pathPrefix = twoWaySyncTag + "/";
-      const otherTags = ld.tag_names.filter(t => t !== twoWaySyncTag && !t.startsWith(pathPrefix));
-      const newTags = [...buildTagsForPath(twoWaySyncTag, finalFolderPath), ...otherTags];
-      await updateLinkdingBookmark(baseUrl, token, ld.id, {
-        url: ld.url,
-        title: finalTitle,
-        tag_names: newTags,
-      });
-      updated++;
+      // Update Linkding: replace old path tags with new ones, keep other tags
+      const newTags = [...buildTagsForPaths(twoWaySyncTag, final.folderPaths), ...withoutSyncTags(twoWaySyncTag, ld.tag_names)];
+      // A URL that only differs in form from Linkding's is left as Linkding has it
+      const url = same("url", final.url, ld.url) ? ld.url : final.url;
+      const oldUrl = url !== ld.url ? ld.url : undefined;
+      let sent;
+      try {
+        sent = await sendOrQueue({ action: "update", linkdingId: ld.id, ...final, entry }, () =>
+          changeSet.linkding("update", { url, title: final.title, tags: newTags, oldUrl, before: ld }, () =>
+            updateLinkdingBookmark(baseUrl, token, ld.id, {
+              url,
+              title: final.title,
+              tag_names: newTags,
+            })));
+      } catch (err) {
+        // Deleted in Linkding since the bookmark list was cached. The entry is kept as it
+        // was and the bookmark dropped from the cache, so the next sync sees the deletion.
+        if (!isNotFoundError(err)) throw err;
+        deletedLinkdingIds.push(ld.id);
+        newMapping[entry.linkdingId] = entry;
+        continue;
+      }
+      if (sent) updated++;
+      else ldQueued = true;
     }
 
-    if (needsChromeUpdate) {
-      // Update Chrome title
-      if (finalTitle !== chromeTitle) {
-        await chrome.bookmarks.update(cbm.id, { title: finalTitle });
-      }
-      // Move bookmark if folder changed
-      if (finalFolderPath !== chromeFolderPath) {
-        const newParentId = await ensureFolderPath(twoWaySyncFolderId, finalFolderPath);
-        await chrome.bookmarks.move(cbm.id, { parentId: newParentId });
+    // Bring every copy in line, including copies other than the one an edit was made in.
+    // Move, add or remove copies if the folders changed, then update titles and URLs.
+    let chromeIds = copies.map((copy) => copy.id);
+    if (!same("folderPaths", final.folderPaths, chromeVersion.folderPaths)) {
+      chromeIds = await placeChromeCopies(twoWaySyncFolderId, copies, final.folderPaths, final, changeSet.bookmarks);
+    }
+    for (const copy of copies) {
+      if (!chromeIds.includes(copy.id)) continue;
+      const urlChanged = !same("url", final.url, copy.url);
+      if (final.title !== copy.title || urlChanged) {
+        await changeSet.bookmarks.update(copy.id, {
+          title: final.title,
+          url: urlChanged ? final.url : undefined,
+        });
       }
-      updated++;
     }
+    if (needsChromeUpdate) updated++;
 
-    newMapping[url] = {
-      linkdingId: ld.id,
-      chromeId: cbm.id,
-      title: finalTitle,
-      url,
-      folderPath: finalFolderPath,
-      lastSynced: Date.now(),
-    };
-
-    if (!needsLdUpdate && !needsChromeUpdate) {
+    if (ldQueued) {
+      newMapping[ld.id] = { ...entry, chromeIds };
+    } else if (needsLdUpdate || needsChromeUpdate) {
+      newMapping[ld.id] = {
+        linkdingId: ld.id,
+        chromeIds,
+        ...final,
+        lastSynced: Date.now(),
+      };
+    } else {
       // No changes — preserve mapping but update IDs
-      newMapping[url] = {
+      newMapping[ld.id] = {
         ...entry,
-        chromeId: cbm.id,
+        ...final,
+        chromeIds,
         linkdingId: ld.id,
-        folderPath: chromeFolderPath,
       };
     }
   }
 
-  await setMapping(newMapping);
-  await chrome.storage.sync.set({
-    twoWayLastSyncTime: Date.now(),
-  });
+  // 4. Deletions, unless there are so many that the mapping has probably fallen out of step
+  // with reality (a reset browser profile, a folder wiped on another device). Then they are
+  // held, still paired, until the user confirms or discards them.
+  const previousPending = await getPendingDeletions(profileId, pair.id);
+  const approved = new Set(approveDeletions && previousPending ? previousPending.deletions.map((d) => d.linkdingId) : []);
+  const unapproved = deletions.filter(({ entry }) => !approved.has(entry.linkdingId)).length;
+  const tracked = Object.keys(mapping).length;
+  let pending = null;
+  if (exceedsDeletionGuard(profile, unapproved, tracked)) {
+    for (const { entry } of deletions) newMapping[entry.linkdingId] = entry;
+    pending = {
+      detectedAt: previousPending ? previousPending.detectedAt : Date.now(),
+      tracked,
+      deletions: deletions.map(({ entry, target, title, url }) => ({ linkdingId: entry.linkdingId, target, title, url })),
+    };
+  } else {
+    for (const { entry, target, ld } of deletions) {
+      if (target === "linkding") {
+        const removal = { action: "remove", linkdingId: entry.linkdingId, title: entry.title, url: entry.url, entry };
+        const sent = await sendOrQueue(removal, async () => {
+          await removeFromLinkding(changeSet, profile, pair, ld);
+          return true;
+        });
+        if (!sent) {
+          newMapping[entry.linkdingId] = entry;
+          continue;
+        }
+        deletedLinkdingIds.push(entry.linkdingId);
+        removedFromLinkding.push({
+          linkdingId: entry.linkdingId,
+          title: ld.title || ld.url,
+          url: ld.url,
+          folderPaths: entry.folderPaths,
+          policy: profile.twoWayDeletePolicy,
+          removedAt: Date.now(),
+        });
+      } else {
+        for (const chromeId of entry.chromeIds) {
+          try {
+            await changeSet.bookmarks.remove(chromeId);
+          } catch {
+            // Already gone
+          }
+        }
+      }
+      removed++;
+    }
+  }
+
+  // 5. Empty folders and the order of folders and bookmarks, carried in the config bookmark
+  await syncFolderLayout(profile, pair, chromeLayout, urlKey, changeSet, log);
+
+  const total = Object.keys(newMapping).length;
+  const conflicts = Object.keys(newConflicts).length;
+  const held = pending ? pending.deletions.length : 0;
+  if (changeSet.dryRun) {
+    return { added, removed, updated, total, conflicts, held, warnings };
+  }
+
+  await removeCachedBookmarks(profileId, deletedLinkdingIds);
+  await setMapping(profileId, pair.id, newMapping);
+  await setConflicts(profileId, pair.id, newConflicts);
+  await addRecentlyRemoved(profileId, pair.id, removedFromLinkding);
+  const pendingKey = pairStorageKey("pendingDeletions", profileId, pair.id);
+  if (pending) {
+    await chrome.storage.local.set({ [pendingKey]: pending });
+  } else if (previousPending) {
+    await chrome.storage.local.remove(pendingKey);
+  }
+  // Everything edited before Chrome was read has been reconciled (or is held as a
+  // conflict); edits made since are left for the next journal replay
+  const journalKey = pairStorageKey("twoWayJournal", profileId, pair.id);
+  await chrome.storage.local.set({ [journalKey]: (await getJournal(profileId, pair.id)).slice(journalLength) });
+  // Edit times of queued writes are kept until they're sent, as for a journal replay
+  const edits = await getChromeEdits(profileId, pair.id);
+  const queuedIds = new Set(unsent.items.flatMap((item) => item.chromeIds || item.entry.chromeIds));
+  await forgetChromeEdits(profileId, pair.id, Object.keys(edits).filter((id) => edits[id] <= startedAt && !queuedIds.has(id)));
+  await setPairState(profileId, pair.id, { lastSyncTime: Date.now(), pathTagsEscaped: true, warnings });
+
+  return { added, removed, updated, total, conflicts, held, warnings };
+}
+
+// Replay the journal without fetching the whole tag: each bookmark the listeners saw
+// change is compared with its mapping entry, and the difference is queued in the outbox
+// and sent (see flushOutbox()). Bookmarks that need the full comparison (held as a
+// conflict or deletion, or in a folder that can't be a tag) are left for the next
+// runTwoWaySync(). Returns null when there is nothing to replay, and { needsFullSync: true }
+// without replaying anything when the deletions would trip the mass-deletion guard.
+async function runTwoWayJournal(profileId, pairId, onProgress) {
+  const log = onProgress || (() => { });
+  const journal = await getJournal(profileId, pairId);
+  if (journal.length === 0) return null;
+  const profile = await getProfile(profileId);
+  const { url: baseUrl, token, urlNormalization } = profile;
+  const pair = findPair(profile, pairId);
+  if (!baseUrl || !token) throw new Error("Missing URL or API token.");
+  if (!getPairState(await getProfileState(profileId), pairId).initialSyncDone) return null;
+
+  const urlKey = (url) => normalizeUrl(url, urlNormalization);
+  const same = (field, a, b) => sameField(field, a, b, urlNormalization);
+  const chromeBookmarks = await getChromeBookmarksRecursive(pair.folderId, "");
+  const problems = folderPathProblems(pair.tag, chromeBookmarks.map((bm) => bm.folderPath));
+  const chromeById = new Map(chromeBookmarks.map((bm) => [bm.id, bm]));
+  const mapping = await getMapping(profileId, pairId);
+  const mappingByChromeId = new Map();
+  for (const entry of Object.values(mapping)) {
+    for (const chromeId of entry.chromeIds) mappingByChromeId.set(chromeId, entry);
+  }
+  const conflicts = await getConflicts(profileId, pairId);
+  const pending = await getPendingDeletions(profileId, pairId);
+  const heldIds = new Set(pending ? pending.deletions.map((d) => d.linkdingId) : []);
+
+  // The mapped bookmarks the journal touches, and the unmapped ones grouped by URL
+  const touched = new Set();
+  const newInChrome = new Map(); // normalized URL → copies
+  for (const { chromeId } of journal) {
+    if (mappingByChromeId.has(chromeId)) {
+      touched.add(mappingByChromeId.get(chromeId));
+      continue;
+    }
+    const cbm = chromeById.get(chromeId);
+    if (!cbm || problems.has(cbm.folderPath)) continue;
+    const key = urlKey(cbm.url);
+    const entry = Object.values(mapping).find((e) => urlKey(e.url) === key);
+    if (entry) {
+      // Another copy of a paired bookmark, synced like a folder change
+      entry.chromeIds = [...entry.chromeIds, cbm.id];
+      mappingByChromeId.set(cbm.id, entry);
+      touched.add(entry);
+      continue;
+    }
+    if (!newInChrome.has(key)) newInChrome.set(key, []);
+    if (!newInChrome.get(key).includes(cbm)) newInChrome.get(key).push(cbm);
+  }
+
+  const deletions = [...touched].filter((entry) => !entry.chromeIds.some((id) => chromeById.has(id)));
+  if (exceedsDeletionGuard(profile, deletions.length, Object.keys(mapping).length)) {
+    return { needsFullSync: true };
+  }
 
-  return { added, removed, updated, total: Object.keys(newMapping).length };
+  // The mapping is updated as if each write had gone through; flushOutbox() puts an entry
+  // back if its write turns out to conflict with an edit in Linkding
+  const changeSet = createChangeSet();
+  const writes = [];
+  const deferred = new Set(); // Chrome IDs left for the full sync
+  for (const entry of touched) {
+    const copies = entry.chromeIds.map((id) => chromeById.get(id)).filter(Boolean);
+    const synced = { url: entry.url, title: entry.title, folderPaths: canonicalPaths(entry.folderPaths.map(normalizeFolderPath)) };
+    const chromeVersion = copies.length > 0 ? chromeVersionOf(copies, synced, urlNormalization, problems) : null;
+    if (chromeVersion && TWO_WAY_FIELDS.every((field) => same(field, chromeVersion[field], synced[field]))) {
+      // Reordered, or one of two copies in the same folder dropped
+      entry.chromeIds = copies.map((copy) => copy.id);
+      continue;
+    }
+    if (conflicts[entry.linkdingId] || heldIds.has(entry.linkdingId) || copies.some((copy) => problems.has(copy.folderPath))) {
+      entry.chromeIds.forEach((id) => deferred.add(id));
+      continue;
+    }
+
+    if (!chromeVersion) {
+      writes.push({ action: "remove", pairId, linkdingId: entry.linkdingId, title: entry.title, url: entry.url, entry });
+      delete mapping[entry.linkdingId];
+      continue;
+    }
+    // An edit made in one copy goes to the others too
+    for (const copy of copies) {
+      const urlChanged = !same("url", chromeVersion.url, copy.url);
+      if (chromeVersion.title !== copy.title || urlChanged) {
+        await changeSet.bookmarks.update(copy.id, {
+          title: chromeVersion.title,
+          url: urlChanged ? chromeVersion.url : undefined,
+        });
+      }
+    }
+    writes.push({ action: "update", pairId, linkdingId: entry.linkdingId, ...chromeVersion, entry });
+    mapping[entry.linkdingId] = {
+      ...entry,
+      ...chromeVersion,
+      chromeIds: copies.map((copy) => copy.id),
+      lastSynced: Date.now(),
+    };
+  }
+  for (const copies of newInChrome.values()) {
+    const { title, url } = copies[0];
+    const folderPaths = canonicalPaths(copies.map((copy) => copy.folderPath));
+    writes.push({ action: "create", pairId, title, url, folderPaths, chromeIds: copies.map((copy) => copy.id) });
+  }
+
+  await setMapping(profileId, pairId, mapping);
+  await queueOutbox(profileId, writes);
+  // Keep operations recorded while replaying. Edit times are kept for the full sync's
+  // "newest" conflict policy until the bookmark's write is sent.
+  const journalKey = pairStorageKey("twoWayJournal", profileId, pairId);
+  await chrome.storage.local.set({ [journalKey]: (await getJournal(profileId, pairId)).slice(journal.length) });
+  const queuedIds = new Set(writes.flatMap((write) => write.chromeIds || write.entry.chromeIds));
+  await forgetChromeEdits(profileId, pairId, journal.map((op) => op.chromeId).filter((id) => !deferred.has(id) && !queuedIds.has(id)));
+
+  log("syncing", `Sending ${writes.length} bookmark change(s) to Linkding...`);
+  const result = await flushOutbox(profileId, log);
+
+  if (journal.some(({ op, folder }) => folder || op === "move")) {
+    await syncFolderLayout(profile, pair, await readFolderLayout(pair.folderId), urlKey, changeSet, log);
+  }
+  await setPairState(profileId, pairId, { lastSyncTime: Date.now() });
+
+  return { ...result, deferred: deferred.size, changes: [...result.changes, ...changeSet.changes] };
+}
+
+// ===================== Outbox =====================
+
+// Linkding writes from replayed journals, and those a full sync couldn't send, sent in
+// order by flushOutbox(). While Linkding
+// can't be reached they stay queued and are retried with exponential backoff:
+// { items: [{ action, pairId, linkdingId, title, url, folderPaths, chromeIds, entry }],
+//   attempts, retryAt, lastError }, action being "create", "update" or "remove", and entry
+// the mapping entry as of the last sync.
+const OUTBOX_RETRY_MIN_MS = 30 * 1000;
+const OUTBOX_RETRY_MAX_MS = 30 * 60 * 1000;
+
+async function getOutbox(profileId) {
+  const key = profileStorageKey("outbox", profileId);
+  const { [key]: outbox } = await chrome.storage.local.get({ [key]: { items: [], attempts: 0, retryAt: null, lastError: null } });
+  return outbox;
+}
+
+async function setOutbox(profileId, outbox) {
+  await chrome.storage.local.set({ [profileStorageKey("outbox", profileId)]: outbox });
+}
+
+async function queueOutbox(profileId, items) {
+  if (items.length === 0) return;
+  const outbox = await getOutbox(profileId);
+  outbox.items.push(...items);
+  await setOutbox(profileId, outbox);
+}
+
+// Queue writes a full sync couldn't send because Linkding was unreachable (err), to be
+// retried like a failed flush
+async function queueUnsentWrites(profileId, items, err) {
+  const outbox = await getOutbox(profileId);
+  outbox.items.push(...items);
+  backOffOutbox(outbox, err);
+  await setOutbox(profileId, outbox);
+}
+
+// Back off before the next attempt, exponentially up to OUTBOX_RETRY_MAX_MS
+function backOffOutbox(outbox, err) {
+  outbox.attempts++;
+  outbox.retryAt = Date.now() + Math.min(OUTBOX_RETRY_MIN_MS * 2 ** (outbox.attempts - 1), OUTBOX_RETRY_MAX_MS);
+  outbox.lastError = err.message;
+}
+
+// Drop a pair's queued writes, whose mapping no longer applies (e.g. after an initial sync)
+async function clearOutbox(profileId, pairId) {
+  const outbox = await getOutbox(profileId);
+  outbox.items = outbox.items.filter((item) => item.pairId !== pairId);
+  if (outbox.items.length === 0) Object.assign(outbox, { attempts: 0, retryAt: null, lastError: null });
+  await setOutbox(profileId, outbox);
+}
+
+// Send the queued writes in order, stopping at the first one Linkding can't be reached for.
+// A Linkding bookmark edited (or gone) since the last sync isn't overwritten: its mapping
+// entry is put back and later writes for it dropped, so the next full sync compares both
+// sides. Only one flush runs per profile; writes queued meanwhile are sent by it too.
+// Returns the counts sent and the number still queued.
+const outboxFlushes = new Map(); // profileId → flush in progress
+
+function flushOutbox(profileId, onProgress) {
+  if (!outboxFlushes.has(profileId)) {
+    outboxFlushes.set(profileId, sendOutbox(profileId, onProgress || (() => { }))
+      .finally(() => outboxFlushes.delete(profileId)));
+  }
+  return outboxFlushes.get(profileId);
+}
+
+async function sendOutbox(profileId, log) {
+  const profile = await getProfile(profileId);
+  const { url: baseUrl, token, urlNormalization } = profile;
+  const same = (field, a, b) => sameField(field, a, b, urlNormalization);
+  const changeSet = createChangeSet();
+  const skipped = new Set(); // Linkding IDs put back for the full sync
+  let added = 0, removed = 0, updated = 0;
+
+  // Storage is read and written per write, so writes queued meanwhile are picked up
+  // and an interrupted flush resends at most one
+  let outbox = await getOutbox(profileId);
+  while (outbox.items.length > 0) {
+    const item = outbox.items[0];
+    const pair = profile.twoWayPairs.find((p) => p.id === item.pairId);
+    const mapping = pair && await getMapping(profileId, pair.id);
+    // Put the entry back as last synced, with the copies Chrome has now
+    const putBack = () => {
+      const current = mapping[item.linkdingId];
+      mapping[item.linkdingId] = { ...item.entry, chromeIds: current ? current.chromeIds : [] };
+      skipped.add(item.linkdingId);
+    };
+
+    try {
+      if (!pair || skipped.has(item.linkdingId)) {
+        // The pair was removed, or an earlier write for the bookmark was put back
+      } else if (item.action === "create") {
+        // A URL Linkding already has is paired with it, keeping its other tags
+        const tags = buildTagsForPaths(pair.tag, item.folderPaths);
+        const ld = await checkLinkdingUrl(baseUrl, token, item.url);
+        let linkdingId = null;
+        if (!ld) {
+          const created = await changeSet.linkding("create", { url: item.url, title: item.title, tags }, () =>
+            createLinkdingBookmark(baseUrl, token, { url: item.url, title: item.title, tagNames: tags }));
+          linkdingId = created.id;
+        } else if (!ld.is_archived && !mapping[ld.id]) {
+          const mergedTags = [...new Set([...ld.tag_names, ...tags])];
+          await changeSet.linkding("update", { url: ld.url, title: ld.title, tags: mergedTags, before: ld }, () =>
+            updateLinkdingBookmark(baseUrl, token, ld.id, { tag_names: mergedTags }));
+          linkdingId = ld.id;
+        }
+        // Saving over an archived or already paired bookmark is left to the full sync
+        if (linkdingId) {
+          const { title, url, folderPaths, chromeIds } = item;
+          mapping[linkdingId] = { linkdingId, chromeIds, title, url, folderPaths, lastSynced: Date.now() };
+          added++;
+        }
+      } else {
+        const ld = await getLinkdingBookmark(baseUrl, token, item.linkdingId);
+        const { entry } = item;
+        const ldEdited = !ld || ld.is_archived || !ld.tag_names.includes(pair.tag) ||
+          hasUnescapedPathTags(pair.tag, ld.tag_names) ||
+          !same("url", ld.url, entry.url) || (ld.title || ld.url) !== entry.title ||
+          !same("folderPaths", extractFolderPaths(pair.tag, ld.tag_names), canonicalPaths(entry.folderPaths.map(normalizeFolderPath)));
+        if (ldEdited) {
+          putBack();
+        } else if (item.action === "remove") {
+          await removeFromLinkding(changeSet, profile, pair, ld);
+          await removeCachedBookmarks(profileId, [ld.id]);
+          await addRecentlyRemoved(profileId, pair.id, [{
+            linkdingId: ld.id,
+            title: ld.title || ld.url,
+            url: ld.url,
+            folderPaths: entry.folderPaths,
+            policy: profile.twoWayDeletePolicy,
+            removedAt: Date.now(),
+          }]);
+          removed++;
+        } else {
+          const tags = [...buildTagsForPaths(pair.tag, item.folderPaths), ...withoutSyncTags(pair.tag, ld.tag_names)];
+          // A URL that only differs in form from Linkding's is left as Linkding has it
+          const url = same("url", item.url, ld.url) ? ld.url : item.url;
+          const oldUrl = url !== ld.url ? ld.url : undefined;
+          await changeSet.linkding("update", { url, title: item.title, tags, oldUrl, before: ld }, () =>
+            updateLinkdingBookmark(baseUrl, token, ld.id, { url, title: item.title, tag_names: tags }));
+          updated++;
+        }
+      }
+    } catch (err) {
+      if (!isUnreachableError(err)) {
+        // Refused by Linkding; retrying won't help, so the full sync takes it from here
+        console.error("[Linkding] Queued change refused", err);
+        if (item.action !== "create") putBack();
+      } else {
+        outbox = await getOutbox(profileId);
+        backOffOutbox(outbox, err);
+        await setOutbox(profileId, outbox);
+        log("syncing", `Linkding is unreachable, ${outbox.items.length} change(s) queued: ${err.message}`);
+        break;
+      }
+    }
+
+    if (mapping) {
+      await setMapping(profileId, pair.id, mapping);
+      if (!skipped.has(item.linkdingId)) await forgetChromeEdits(profileId, pair.id, item.chromeIds || item.entry.chromeIds);
+    }
+    outbox = await getOutbox(profileId);
+    outbox.items.shift();
+    Object.assign(outbox, { attempts: 0, retryAt: null, lastError: null });
+    await setOutbox(profileId, outbox);
+  }
+
+  return { added, removed, updated, queued: outbox.items.length, changes: changeSet.changes };
+}
+
+// Carry folder layout changes between the pair's Chrome folder and its config bookmark.
+// A side rearranged since the last sync wins; when both were, Chrome's layout is kept
+// unless the conflict policy is "linkding". Failures are logged and don't fail the sync.
+async function syncFolderLayout(profile, pair, chromeLayout, urlKey, changeSet, log) {
+  const { id: profileId, url: baseUrl, token, twoWayConflictPolicy } = profile;
+  const configUrl = configUrlFor(profileId, pair.id);
+  try {
+    const syncedLayout = await getSyncedLayout(profileId, pair.id);
+    const config = await fetchConfig(baseUrl, token, configUrl);
+    const savedLayout = config && config.data && Array.isArray(config.data.layout) ? config.data.layout : null;
+
+    if (savedLayout && syncedLayout && layoutRearranged(syncedLayout, savedLayout, urlKey) &&
+        (!layoutRearranged(syncedLayout, chromeLayout, urlKey) || twoWayConflictPolicy === "linkding")) {
+      log("syncing", "Applying folder layout from Linkding...");
+      await applyFolderLayout(pair.folderId, savedLayout, urlKey, changeSet.bookmarks, syncedLayout);
+    }
+    if (changeSet.dryRun) return;
+
+    const layout = await readFolderLayout(pair.folderId);
+    if (!savedLayout || JSON.stringify(layout) !== JSON.stringify(savedLayout)) {
+      await saveConfig(baseUrl, token, { ...(config && config.data), order: layoutOrder(layout), layout }, config ? config.id : null, configUrl);
+    }
+    await setSyncedLayout(profileId, pair.id, layout);
+  } catch (e) {
+    console.error("Failed to sync folder layout", e);
+    log("syncing", "Error syncing folder layout: " + e.message);
+  }
 }